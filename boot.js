@@ -0,0 +1,74 @@
+/**
+ * DevHubX Cloud Blog - Boot
+ * Loaded synchronously in <head> so the saved theme and reader preferences
+ * are on <html> before the first paint. script.js owns the full logic
+ * (accent colors, pickers, system changes) and takes the storage keys, themes
+ * and reader variables from window.DevHubXBoot, so both always agree.
+ */
+
+(function () {
+    'use strict';
+
+    const root = document.documentElement;
+
+    const BOOT = Object.freeze({
+        storage: {
+            theme: 'devhubx_theme',
+            readerPreferences: 'devhubx_reader_preferences'
+        },
+        themes: ['light', 'dark', 'high-contrast', 'sepia'],
+        // CSS variable and unit of each numeric reader preference
+        readerVariables: {
+            fontScale: { variable: '--reader-font-scale', unit: '' },
+            lineHeight: { variable: '--reader-line-height', unit: '' },
+            measure: { variable: '--reader-measure', unit: 'ch' }
+        }
+    });
+
+    window.DevHubXBoot = BOOT;
+
+    function read(key) {
+        try {
+            const saved = localStorage.getItem(key);
+            if (!saved) return null;
+
+            try {
+                return JSON.parse(saved);
+            } catch (error) {
+                // Older versions stored the theme as a plain string
+                return { theme: saved };
+            }
+        } catch (error) {
+            // Storage blocked (private mode, disabled cookies)
+            return null;
+        }
+    }
+
+    // Theme ("system" is resolved the same way as resolveTheme() in script.js)
+    const settings = read(BOOT.storage.theme) || {};
+    let theme = typeof settings === 'object' && settings.theme ? settings.theme : settings;
+
+    if (!BOOT.themes.includes(theme)) {
+        if (window.matchMedia('(prefers-contrast: more)').matches) {
+            theme = 'high-contrast';
+        } else {
+            theme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+    }
+
+    root.setAttribute('data-theme', theme);
+
+    // Reader preferences (values are validated again by script.js)
+    const preferences = read(BOOT.storage.readerPreferences);
+    if (!preferences || typeof preferences !== 'object') return;
+
+    Object.entries(BOOT.readerVariables).forEach(([key, { variable, unit }]) => {
+        if (typeof preferences[key] === 'number' && isFinite(preferences[key])) {
+            root.style.setProperty(variable, `${preferences[key]}${unit}`);
+        }
+    });
+
+    if (preferences.dyslexiaFont === true) {
+        root.setAttribute('data-reader-font', 'dyslexic');
+    }
+})();
@@ -0,0 +1,319 @@
+/**
+ * DevHubX Cloud Blog - Feed Generator
+ * Builds RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents from posts.json
+ *
+ * Browser: window.DevHubXFeed.generateFeeds(manifest)
+ * Node:    require('./feed.js').generateFeeds(manifest), or `node feed.js` to
+ *          regenerate rss.xml, atom.xml and feed.json next to posts.json
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DevHubXFeed = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURATION
+    // ============================================
+
+    const FEED_DEFAULTS = {
+        limit: 20,
+        files: {
+            rss: 'rss.xml',
+            atom: 'atom.xml',
+            json: 'feed.json'
+        }
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Escape text for XML element content and attribute values
+     */
+    function escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Wrap HTML in a CDATA section (splitting any "]]>" inside it)
+     */
+    function toCDATA(html) {
+        return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+    }
+
+    /**
+     * Resolve a path against the site URL
+     */
+    function absoluteUrl(path, baseUrl) {
+        return new URL(path, baseUrl).href;
+    }
+
+    /**
+     * Link to the article view of a post or tutorial; script.js opens "?view=<id>" as "#<id>"
+     */
+    function getPostUrl(post, baseUrl) {
+        return absoluteUrl(`?view=${encodeURIComponent(post.id)}`, baseUrl);
+    }
+
+    /**
+     * Last modification date of a post
+     */
+    function getUpdated(post) {
+        return post.dateModified || post.datePublished;
+    }
+
+    /**
+     * Posts and tutorials, newest first, limited to the feed size
+     */
+    function getFeedEntries(manifest, limit) {
+        const tutorials = (manifest.tutorials || []).map(tutorial => ({ ...tutorial, type: 'tutorial' }));
+
+        return (manifest.posts || [])
+            .concat(tutorials)
+            .sort((a, b) => Date.parse(b.datePublished) - Date.parse(a.datePublished))
+            .slice(0, limit);
+    }
+
+    /**
+     * Date of the most recent change, so unchanged content produces identical feeds
+     */
+    function getLastUpdated(posts) {
+        const times = posts.map(post => Date.parse(getUpdated(post)));
+        return new Date(times.length ? Math.max(...times) : 0);
+    }
+
+    /**
+     * HTML body shared by every feed format
+     */
+    function createItemHTML(post, manifest, baseUrl) {
+        const category = manifest.categories[post.category];
+        const categoryUrl = absoluteUrl(`?category=${encodeURIComponent(post.category)}#blog`, baseUrl);
+        const parts = [
+            `<p>${escapeXML(post.excerpt)}</p>`
+        ];
+
+        if (post.type === 'tutorial') {
+            const details = [post.difficulty, post.duration ? `${post.duration} minutes` : null].filter(Boolean);
+            parts.push(`<p>Tutorial${details.length ? `: ${escapeXML(details.join(', '))}` : ''}</p>`);
+        }
+        if (post.steps && post.steps.length) {
+            parts.push(`<ol>${post.steps.map(step => `<li>${escapeXML(step)}</li>`).join('')}</ol>`);
+        }
+        if (post.image) {
+            parts.push(`<p><img src="${escapeXML(absoluteUrl(post.image.src, baseUrl))}" alt="${escapeXML(post.image.alt)}"></p>`);
+        }
+        if (category) {
+            parts.push(`<p>Category: <a href="${escapeXML(categoryUrl)}">${escapeXML(category.name)}</a></p>`);
+        }
+        if (post.tags && post.tags.length) {
+            parts.push(`<p>Tags: ${post.tags.map(escapeXML).join(', ')}</p>`);
+        }
+
+        parts.push(`<p><a href="${escapeXML(getPostUrl(post, baseUrl))}">Read the full article</a></p>`);
+        return parts.join('\n');
+    }
+
+    /**
+     * Category name (or "Tutorial") followed by the tags
+     */
+    function getItemCategories(post, manifest) {
+        const category = manifest.categories[post.category];
+        const names = post.type === 'tutorial' ? ['Tutorial'] : [];
+        return names.concat(category ? [category.name] : [], post.tags || []);
+    }
+
+    // ============================================
+    // FORMATS
+    // ============================================
+
+    /**
+     * RSS 2.0
+     */
+    function createRSSFeed(manifest, options = {}) {
+        const { limit, files } = { ...FEED_DEFAULTS, ...options };
+        const site = manifest.site;
+        const baseUrl = options.baseUrl || site.url;
+        const posts = getFeedEntries(manifest, limit);
+        const updated = getLastUpdated(posts);
+        const author = site.author || {};
+
+        const items = posts.map(post => {
+            const url = getPostUrl(post, baseUrl);
+            return [
+                '        <item>',
+                `            <title>${escapeXML(post.title)}</title>`,
+                `            <link>${escapeXML(url)}</link>`,
+                `            <guid isPermaLink="true">${escapeXML(url)}</guid>`,
+                `            <description>${escapeXML(post.excerpt)}</description>`,
+                `            <content:encoded>${toCDATA(createItemHTML(post, manifest, baseUrl))}</content:encoded>`,
+                `            <pubDate>${new Date(post.datePublished).toUTCString()}</pubDate>`,
+                `            <dc:creator>${escapeXML(author.name || site.title)}</dc:creator>`,
+                ...getItemCategories(post, manifest).map(name => `            <category>${escapeXML(name)}</category>`),
+                '        </item>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"',
+            '     xmlns:dc="http://purl.org/dc/elements/1.1/"',
+            '     xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+            '    <channel>',
+            `        <title>${escapeXML(site.title)}</title>`,
+            `        <link>${escapeXML(baseUrl)}</link>`,
+            `        <atom:link href="${escapeXML(absoluteUrl(files.rss, baseUrl))}" rel="self" type="application/rss+xml"/>`,
+            `        <description>${escapeXML(site.description)}</description>`,
+            `        <language>${escapeXML(site.language || 'en')}</language>`,
+            `        <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+            `        <pubDate>${updated.toUTCString()}</pubDate>`,
+            `        <generator>${escapeXML(site.title)}</generator>`,
+            author.email ? `        <managingEditor>${escapeXML(`${author.email} (${author.name})`)}</managingEditor>` : null,
+            `        <copyright>© ${updated.getUTCFullYear()} ${escapeXML(site.title)}. All rights reserved.</copyright>`,
+            site.publisher && site.publisher.logo ? [
+                '        <image>',
+                `            <url>${escapeXML(site.publisher.logo)}</url>`,
+                `            <title>${escapeXML(site.title)}</title>`,
+                `            <link>${escapeXML(baseUrl)}</link>`,
+                '        </image>'
+            ].join('\n') : null,
+            ...Object.values(manifest.categories).map(category => `        <category>${escapeXML(category.name)}</category>`),
+            ...items,
+            '    </channel>',
+            '</rss>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * Atom 1.0
+     */
+    function createAtomFeed(manifest, options = {}) {
+        const { limit, files } = { ...FEED_DEFAULTS, ...options };
+        const site = manifest.site;
+        const baseUrl = options.baseUrl || site.url;
+        const posts = getFeedEntries(manifest, limit);
+        const author = site.author || {};
+
+        const authorXML = [
+            '    <author>',
+            `        <name>${escapeXML(author.name || site.title)}</name>`,
+            author.url ? `        <uri>${escapeXML(author.url)}</uri>` : null,
+            author.email ? `        <email>${escapeXML(author.email)}</email>` : null,
+            '    </author>'
+        ].filter(line => line !== null).join('\n');
+
+        const entries = posts.map(post => {
+            const url = getPostUrl(post, baseUrl);
+            return [
+                '    <entry>',
+                `        <title>${escapeXML(post.title)}</title>`,
+                `        <link rel="alternate" type="text/html" href="${escapeXML(url)}"/>`,
+                `        <id>${escapeXML(url)}</id>`,
+                `        <published>${new Date(post.datePublished).toISOString()}</published>`,
+                `        <updated>${new Date(getUpdated(post)).toISOString()}</updated>`,
+                `        <summary type="text">${escapeXML(post.excerpt)}</summary>`,
+                `        <content type="html">${escapeXML(createItemHTML(post, manifest, baseUrl))}</content>`,
+                ...getItemCategories(post, manifest).map(name => `        <category term="${escapeXML(name)}"/>`),
+                '    </entry>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXML(site.language || 'en')}">`,
+            `    <title>${escapeXML(site.title)}</title>`,
+            `    <subtitle>${escapeXML(site.description)}</subtitle>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXML(baseUrl)}"/>`,
+            `    <link rel="self" type="application/atom+xml" href="${escapeXML(absoluteUrl(files.atom, baseUrl))}"/>`,
+            `    <id>${escapeXML(baseUrl)}</id>`,
+            `    <updated>${getLastUpdated(posts).toISOString()}</updated>`,
+            authorXML,
+            site.publisher && site.publisher.logo ? `    <logo>${escapeXML(site.publisher.logo)}</logo>` : null,
+            `    <generator>${escapeXML(site.title)}</generator>`,
+            ...entries,
+            '</feed>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+     */
+    function createJSONFeed(manifest, options = {}) {
+        const { limit, files } = { ...FEED_DEFAULTS, ...options };
+        const site = manifest.site;
+        const baseUrl = options.baseUrl || site.url;
+        const author = site.author || {};
+
+        const feed = {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: site.title,
+            home_page_url: baseUrl,
+            feed_url: absoluteUrl(files.json, baseUrl),
+            description: site.description,
+            language: site.language || 'en',
+            icon: site.publisher && site.publisher.logo ? site.publisher.logo : undefined,
+            favicon: absoluteUrl('favicon.svg', baseUrl),
+            authors: [{ name: author.name || site.title, url: author.url }],
+            items: getFeedEntries(manifest, limit).map(post => ({
+                id: getPostUrl(post, baseUrl),
+                url: getPostUrl(post, baseUrl),
+                title: post.title,
+                summary: post.excerpt,
+                content_html: createItemHTML(post, manifest, baseUrl),
+                image: post.image ? absoluteUrl(post.image.src, baseUrl) : undefined,
+                date_published: new Date(post.datePublished).toISOString(),
+                date_modified: new Date(getUpdated(post)).toISOString(),
+                tags: getItemCategories(post, manifest)
+            }))
+        };
+
+        return `${JSON.stringify(feed, null, 4)}\n`;
+    }
+
+    /**
+     * Every feed, keyed by file name
+     */
+    function generateFeeds(manifest, options = {}) {
+        const files = { ...FEED_DEFAULTS.files, ...options.files };
+        const settings = { ...options, files };
+
+        return {
+            [files.rss]: createRSSFeed(manifest, settings),
+            [files.atom]: createAtomFeed(manifest, settings),
+            [files.json]: createJSONFeed(manifest, settings)
+        };
+    }
+
+    return {
+        createRSSFeed,
+        createAtomFeed,
+        createJSONFeed,
+        generateFeeds
+    };
+});
+
+// Regenerate the feeds when run directly: `node feed.js`
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'posts.json'), 'utf8'));
+    const feeds = module.exports.generateFeeds(manifest);
+
+    Object.entries(feeds).forEach(([file, content]) => {
+        fs.writeFileSync(path.join(__dirname, file), content);
+        console.log(`Wrote ${file}`);
+    });
+}
@@ -0,0 +1,944 @@
+/**
+ * DevHubX Cloud Blog - Internationalization
+ * Message catalogs, plural rules and locale matching for the UI strings in script.js
+ *
+ * Browser: window.DevHubXI18n.translate(locale, key, params)
+ * Node:    require('./i18n.js'), or `node i18n.js` to list messages that are
+ *          missing from (or unknown to) each catalog compared with English
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DevHubXI18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // CONFIGURATION
+    // ============================================
+
+    // Supported locales, each labelled in its own language for the switcher
+    const LOCALES = {
+        en: 'English',
+        de: 'Deutsch',
+        es: 'Español'
+    };
+
+    const DEFAULT_LOCALE = 'en';
+
+    // ============================================
+    // MESSAGES
+    // ============================================
+
+    // "{name}" is replaced with params.name. A message with plural forms is an
+    // object keyed by Intl.PluralRules category ("one", "few", "many", "other"...)
+    // and is chosen by params.count; "other" is required.
+    const MESSAGES = {
+        en: {
+            'language.label': 'Language',
+            'language.changed': 'Language changed to {language}',
+
+            'nav.skip': 'Skip to main content',
+            'nav.main': 'Main navigation',
+            'nav.toggleMenu': 'Toggle navigation menu',
+            'nav.home': 'Home',
+            'nav.blog': 'Blog',
+            'nav.about': 'About',
+            'nav.tutorials': 'Tutorials',
+            'nav.contact': 'Contact',
+            'nav.readingList': 'Reading list',
+            'nav.readingListCount': '({count} saved)',
+            'nav.scrollToTop': 'Scroll to top',
+
+            'theme.button': 'Theme and accent color',
+            'theme.heading': 'Theme',
+            'theme.system': 'Follow system',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.high-contrast': 'High contrast',
+            'theme.sepia': 'Sepia',
+            'theme.changed': 'Theme changed to {theme}',
+            'theme.changedSystem': 'Theme changed to follow the system ({theme})',
+            'accent.heading': 'Accent color',
+            'accent.default': 'Default',
+            'accent.blue': 'Blue',
+            'accent.purple': 'Purple',
+            'accent.pink': 'Pink',
+            'accent.teal': 'Teal',
+            'accent.orange': 'Orange',
+            'accent.changed': 'Accent color changed to {accent}',
+
+            'reader.title': 'Reading preferences',
+            'reader.fontScale': 'Font size',
+            'reader.lineHeight': 'Line height',
+            'reader.measure': 'Line width',
+            'reader.characters': {
+                one: '{count} character',
+                other: '{count} characters'
+            },
+            'reader.dyslexiaFont': 'Dyslexia-friendly font',
+            'reader.reset': 'Reset to defaults',
+            'reader.resetDone': 'Reading preferences reset',
+
+            'form.invalidEmail': 'Please enter a valid email address',
+            'form.required': 'Please fill in this field',
+            'form.tooShort': {
+                one: 'Please enter at least {count} character',
+                other: 'Please enter at least {count} characters'
+            },
+            'form.tooLong': {
+                one: 'Please use no more than {count} character',
+                other: 'Please use no more than {count} characters'
+            },
+            'form.invalidFields': {
+                one: '{count} field needs your attention',
+                other: '{count} fields need your attention'
+            },
+            'form.charactersLeft': {
+                one: '{count} character left',
+                other: '{count} characters left'
+            },
+            'form.charactersOver': {
+                one: '{count} character over the limit',
+                other: '{count} characters over the limit'
+            },
+            'newsletter.queued': 'You are offline. Your subscription is queued and will be sent once you reconnect.',
+            'newsletter.failed': 'Subscription failed. Please try again.',
+            'newsletter.alreadySubscribed': 'You are already subscribed!',
+            'newsletter.pending': 'Almost there! Open the link we just emailed you to confirm your subscription.',
+            'newsletter.pendingStatus': 'Waiting for confirmation: we sent a link to {email}.',
+            'newsletter.subscribedAs': 'Subscribed as {email}.',
+            'newsletter.manage': 'Manage preferences',
+            'newsletter.title': 'Newsletter preferences',
+            'newsletter.description': 'Choose the topics and how often you get the DevHubX Cloud newsletter, or unsubscribe.',
+            'newsletter.notSubscribed': 'You are not subscribed to the newsletter on this device.',
+            'newsletter.subscribe': 'Subscribe',
+            'newsletter.pendingPage': 'Open the link we sent to {email} to confirm your subscription. It can take a few minutes to arrive.',
+            'newsletter.useDifferentAddress': 'Use a different address',
+            'newsletter.noToken': 'You are subscribed. To change your preferences, use the link at the bottom of any newsletter email.',
+            'newsletter.confirmed': 'Your subscription is confirmed. Welcome aboard!',
+            'newsletter.confirmFailedTitle': 'This link is no longer valid',
+            'newsletter.confirmFailed': 'Confirmation links expire after two days and work only once. Subscribe again to get a new one.',
+            'newsletter.subscribeAgain': 'Subscribe again',
+            'newsletter.topics': 'Topics',
+            'newsletter.frequency': 'How often',
+            'newsletter.frequency.weekly': 'Weekly digest',
+            'newsletter.frequency.monthly': 'Monthly roundup',
+            'newsletter.save': 'Save preferences',
+            'newsletter.saved': 'Your newsletter preferences were saved.',
+            'newsletter.saveFailed': 'Your preferences could not be saved. Please try again.',
+            'newsletter.topicsRequired': 'Choose at least one topic, or unsubscribe below.',
+            'newsletter.unsubscribeTitle': 'Unsubscribe',
+            'newsletter.unsubscribeText': 'Stop sending the newsletter to {email}.',
+            'newsletter.unsubscribeConfirm': 'Stop receiving the DevHubX Cloud newsletter? You can subscribe again at any time.',
+            'newsletter.unsubscribe': 'Unsubscribe',
+            'newsletter.unsubscribed': 'You have been unsubscribed. Sorry to see you go!',
+            'newsletter.unsubscribeFailed': 'You could not be unsubscribed. Please try again.',
+            'newsletter.linkInvalid': 'This link is no longer valid. You may already have unsubscribed.',
+            'contact.queued': 'You are offline. Your message is queued and will be sent once you reconnect.',
+            'contact.success': 'Message sent successfully! We\'ll get back to you soon.',
+            'contact.failed': 'Failed to send message. Please try again.',
+            'contact.draftRestored': 'Draft restored from your last visit.',
+            'contact.discardDraft': 'Discard',
+            'spam.tooFast': 'Please take a moment to look over the form, then send it again.',
+            'spam.rateLimited': 'You have sent this a few times already. Please wait a few minutes before trying again.',
+            'spam.rejected': 'This could not be sent right now. Please try again later.',
+
+            'content.loadFailed': 'Posts could not be loaded. Please check your connection and reload the page.',
+            'content.type.post': 'Post',
+            'content.type.tutorial': 'Tutorial',
+            'content.showCategory': 'Show {category} posts',
+            'content.showTag': 'Show posts tagged {tag}',
+            'content.readTutorial': 'Read Tutorial →',
+            'reading.minRead': '{count} min read',
+            'reading.minLeft': '{count} min left',
+            'reading.finished': 'Finished',
+            'reading.duration': {
+                one: '{count} minute',
+                other: '{count} minutes'
+            },
+            'difficulty.beginner': 'Beginner',
+            'difficulty.intermediate': 'Intermediate',
+            'difficulty.advanced': 'Advanced',
+
+            'filters.label': 'Filter posts',
+            'filters.categories': 'Categories',
+            'filters.tags': 'Tags',
+            'filters.match': 'Show posts matching',
+            'filters.matchAll': 'All filters',
+            'filters.matchAny': 'Any filter',
+            'filters.clear': 'Clear filters',
+            'filters.cleared': 'Filters cleared',
+            'filters.none': 'No posts match these filters.',
+            'filters.showing': {
+                one: 'Showing {shown} of {count} post',
+                other: 'Showing {shown} of {count} posts'
+            },
+            'filters.total': {
+                one: '{count} post',
+                other: '{count} posts'
+            },
+
+            'page.notFound': 'Page not found',
+            'page.notFoundText': 'There is nothing at "#{path}". It may have been moved or removed.',
+            'page.home': 'Go to the home page',
+            'page.allPosts': 'Browse all posts',
+            'page.search': 'Search the blog',
+            'page.unavailable': 'Content unavailable',
+            'page.unavailableOnline': 'This page could not be loaded. Please try again in a moment.',
+            'page.unavailableOffline': 'This page hasn\'t been saved for offline reading yet. Reconnect and try again.',
+            'page.retry': 'Try again',
+
+            'article.backToPosts': '← Back to posts',
+            'article.backToTutorials': '← Back to tutorials',
+            'article.headingLink': 'Link to "{heading}"',
+            'toc.title': 'On this page',
+
+            'progress.label': 'Reading progress',
+            'progress.value': '{percent} read, {remaining}',
+            'resume.label': 'Resume reading',
+            'resume.post': 'You read {percent} of this post last time.',
+            'resume.tutorial': 'You read {percent} of this tutorial last time.',
+            'resume.continue': 'Resume where you left off',
+            'resume.restart': 'Start from the beginning',
+
+            'bookmark.save': 'Save "{title}" to reading list',
+            'bookmark.saved': 'Saved to your reading list',
+            'bookmark.saveForLater': 'Save for later',
+            'bookmark.added': 'Saved "{title}" to your reading list',
+            'bookmark.removed': 'Removed "{title}" from your reading list',
+            'bookmark.failed': 'Your reading list could not be updated. Please try again.',
+            'readingList.title': 'Reading list',
+            'readingList.description': 'Posts and tutorials saved for later.',
+            'readingList.intro': 'Posts and tutorials saved on this device. Saved articles can be read offline.',
+            'readingList.export': 'Export as JSON',
+            'readingList.import': 'Import',
+            'readingList.empty': 'Nothing saved yet. Use the bookmark button on any post or tutorial to read it later.',
+            'readingList.browse': 'Browse posts',
+            'readingList.savedOn': 'Saved {date}',
+            'readingList.remove': 'Remove',
+            'readingList.removeLabel': 'Remove "{title}" from reading list',
+            'readingList.invalidFile': 'That file isn\'t a reading list export.',
+            'readingList.importFailed': 'Your reading list could not be imported. Please try again.',
+            'readingList.imported': {
+                one: 'Imported {count} item to your reading list.',
+                other: 'Imported {count} items to your reading list.'
+            },
+            'readingList.nothingImported': 'No new items to import.',
+            'readingList.skipped': '{count} already saved or no longer available.',
+
+            'archive.title': 'All Posts',
+            'archive.description': 'Every article on {site}, by month.',
+            'archive.intro': {
+                one: '{count} article on cloud, DevOps and development',
+                other: '{count} articles on cloud, DevOps and development'
+            },
+            'archive.sortBy': 'Sort by',
+            'archive.newest': 'Newest first',
+            'archive.oldest': 'Oldest first',
+            'archive.shortest': 'Shortest read',
+            'archive.longest': 'Longest read',
+            'archive.loadMore': 'Load more posts',
+            'archive.showing': {
+                one: 'Showing {shown} of {count} post',
+                other: 'Showing {shown} of {count} posts'
+            },
+            'archive.loaded': {
+                one: 'Loaded {count} more post. Showing {shown} of {total}.',
+                other: 'Loaded {count} more posts. Showing {shown} of {total}.'
+            },
+            'archive.sorted': 'Posts sorted: {sort}',
+
+            'search.label': 'Search results',
+            'search.empty': 'Please enter a search term',
+            'search.results': {
+                one: '{count} result for “{query}”',
+                other: '{count} results for “{query}”'
+            },
+            'search.noResults': 'No results for “{query}”',
+            'search.hint': 'Try a different keyword, a tag such as “AWS”, or a category such as “DevOps”.',
+
+            'toast.close': 'Close notification',
+            'toast.retry': 'Retry',
+            'toast.undo': 'Undo',
+
+            'consent.title': 'Your privacy choices',
+            'consent.text': 'We use strictly necessary storage to remember your settings. With your permission we also collect anonymous usage analytics to improve the blog. Emails and messages you type are never included.',
+            'consent.signal': 'Your browser sends a Do Not Track or Global Privacy Control signal, so analytics stay off.',
+            'consent.necessary': 'Necessary (always on)',
+            'consent.analytics': 'Analytics',
+            'consent.reject': 'Reject optional',
+            'consent.save': 'Save choices',
+            'consent.accept': 'Accept all',
+            'consent.saved': 'Your privacy choices have been saved.',
+
+            'pwa.installed': 'Thank you for installing DevHubX Cloud Blog!',
+            'offline.cached': 'You are offline. This page and everything you have already visited are still available.',
+            'offline.uncached': 'You are offline. This page is not saved for offline use, so some features may not work.',
+            'offline.online': 'You are back online',
+
+            'outbox.newsletter.rejected': 'Your queued newsletter subscription could not be delivered. Please submit it again.',
+            'outbox.newsletter.queued': {
+                one: 'Queued: {count} newsletter subscription will be sent when you are back online.',
+                other: 'Queued: {count} newsletter subscriptions will be sent when you are back online.'
+            },
+            'outbox.contact.delivered': 'Your queued message has been delivered.',
+            'outbox.contact.rejected': 'Your queued message could not be delivered. Please submit it again.',
+            'outbox.contact.queued': {
+                one: 'Queued: {count} message will be sent when you are back online.',
+                other: 'Queued: {count} messages will be sent when you are back online.'
+            },
+
+            'error.unexpected': 'Error: {message}'
+        },
+
+        de: {
+            'language.label': 'Sprache',
+            'language.changed': 'Sprache geändert zu {language}',
+
+            'nav.skip': 'Zum Hauptinhalt springen',
+            'nav.main': 'Hauptnavigation',
+            'nav.toggleMenu': 'Navigationsmenü umschalten',
+            'nav.home': 'Start',
+            'nav.blog': 'Blog',
+            'nav.about': 'Über uns',
+            'nav.tutorials': 'Tutorials',
+            'nav.contact': 'Kontakt',
+            'nav.readingList': 'Leseliste',
+            'nav.readingListCount': '({count} gespeichert)',
+            'nav.scrollToTop': 'Nach oben scrollen',
+
+            'theme.button': 'Design und Akzentfarbe',
+            'theme.heading': 'Design',
+            'theme.system': 'System folgen',
+            'theme.light': 'Hell',
+            'theme.dark': 'Dunkel',
+            'theme.high-contrast': 'Hoher Kontrast',
+            'theme.sepia': 'Sepia',
+            'theme.changed': 'Design geändert zu {theme}',
+            'theme.changedSystem': 'Design folgt jetzt dem System ({theme})',
+            'accent.heading': 'Akzentfarbe',
+            'accent.default': 'Standard',
+            'accent.blue': 'Blau',
+            'accent.purple': 'Lila',
+            'accent.pink': 'Pink',
+            'accent.teal': 'Petrol',
+            'accent.orange': 'Orange',
+            'accent.changed': 'Akzentfarbe geändert zu {accent}',
+
+            'reader.title': 'Leseeinstellungen',
+            'reader.fontScale': 'Schriftgröße',
+            'reader.lineHeight': 'Zeilenhöhe',
+            'reader.measure': 'Zeilenbreite',
+            'reader.characters': {
+                one: '{count} Zeichen',
+                other: '{count} Zeichen'
+            },
+            'reader.dyslexiaFont': 'Legasthenie-freundliche Schrift',
+            'reader.reset': 'Auf Standard zurücksetzen',
+            'reader.resetDone': 'Leseeinstellungen zurückgesetzt',
+
+            'form.invalidEmail': 'Bitte gib eine gültige E-Mail-Adresse ein',
+            'form.required': 'Bitte fülle dieses Feld aus',
+            'form.tooShort': {
+                one: 'Bitte gib mindestens {count} Zeichen ein',
+                other: 'Bitte gib mindestens {count} Zeichen ein'
+            },
+            'form.tooLong': {
+                one: 'Bitte verwende höchstens {count} Zeichen',
+                other: 'Bitte verwende höchstens {count} Zeichen'
+            },
+            'form.invalidFields': {
+                one: '{count} Feld muss korrigiert werden',
+                other: '{count} Felder müssen korrigiert werden'
+            },
+            'form.charactersLeft': {
+                one: 'Noch {count} Zeichen',
+                other: 'Noch {count} Zeichen'
+            },
+            'form.charactersOver': {
+                one: '{count} Zeichen über dem Limit',
+                other: '{count} Zeichen über dem Limit'
+            },
+            'newsletter.queued': 'Du bist offline. Deine Anmeldung wird gesendet, sobald du wieder verbunden bist.',
+            'newsletter.failed': 'Die Anmeldung ist fehlgeschlagen. Bitte versuche es erneut.',
+            'newsletter.alreadySubscribed': 'Du bist bereits angemeldet!',
+            'newsletter.pending': 'Fast geschafft! Öffne den Link, den wir dir gerade gemailt haben, um deine Anmeldung zu bestätigen.',
+            'newsletter.pendingStatus': 'Warte auf Bestätigung: Wir haben einen Link an {email} gesendet.',
+            'newsletter.subscribedAs': 'Angemeldet als {email}.',
+            'newsletter.manage': 'Einstellungen verwalten',
+            'newsletter.title': 'Newsletter-Einstellungen',
+            'newsletter.description': 'Wähle die Themen und wie oft du den DevHubX Cloud Newsletter erhältst, oder melde dich ab.',
+            'newsletter.notSubscribed': 'Auf diesem Gerät bist du nicht für den Newsletter angemeldet.',
+            'newsletter.subscribe': 'Anmelden',
+            'newsletter.pendingPage': 'Öffne den Link, den wir an {email} gesendet haben, um deine Anmeldung zu bestätigen. Es kann ein paar Minuten dauern, bis er ankommt.',
+            'newsletter.useDifferentAddress': 'Andere Adresse verwenden',
+            'newsletter.noToken': 'Du bist angemeldet. Deine Einstellungen kannst du über den Link am Ende jeder Newsletter-E-Mail ändern.',
+            'newsletter.confirmed': 'Deine Anmeldung ist bestätigt. Willkommen an Bord!',
+            'newsletter.confirmFailedTitle': 'Dieser Link ist nicht mehr gültig',
+            'newsletter.confirmFailed': 'Bestätigungslinks laufen nach zwei Tagen ab und funktionieren nur einmal. Melde dich erneut an, um einen neuen zu erhalten.',
+            'newsletter.subscribeAgain': 'Erneut anmelden',
+            'newsletter.topics': 'Themen',
+            'newsletter.frequency': 'Wie oft',
+            'newsletter.frequency.weekly': 'Wöchentliche Zusammenfassung',
+            'newsletter.frequency.monthly': 'Monatlicher Überblick',
+            'newsletter.save': 'Einstellungen speichern',
+            'newsletter.saved': 'Deine Newsletter-Einstellungen wurden gespeichert.',
+            'newsletter.saveFailed': 'Deine Einstellungen konnten nicht gespeichert werden. Bitte versuche es erneut.',
+            'newsletter.topicsRequired': 'Wähle mindestens ein Thema oder melde dich unten ab.',
+            'newsletter.unsubscribeTitle': 'Abmelden',
+            'newsletter.unsubscribeText': 'Keinen Newsletter mehr an {email} senden.',
+            'newsletter.unsubscribeConfirm': 'Den DevHubX Cloud Newsletter nicht mehr erhalten? Du kannst dich jederzeit wieder anmelden.',
+            'newsletter.unsubscribe': 'Abmelden',
+            'newsletter.unsubscribed': 'Du wurdest abgemeldet. Schade, dass du gehst!',
+            'newsletter.unsubscribeFailed': 'Die Abmeldung ist fehlgeschlagen. Bitte versuche es erneut.',
+            'newsletter.linkInvalid': 'Dieser Link ist nicht mehr gültig. Vielleicht hast du dich bereits abgemeldet.',
+            'contact.queued': 'Du bist offline. Deine Nachricht wird gesendet, sobald du wieder verbunden bist.',
+            'contact.success': 'Nachricht gesendet! Wir melden uns bald bei dir.',
+            'contact.failed': 'Die Nachricht konnte nicht gesendet werden. Bitte versuche es erneut.',
+            'contact.draftRestored': 'Entwurf von deinem letzten Besuch wiederhergestellt.',
+            'contact.discardDraft': 'Verwerfen',
+            'spam.tooFast': 'Bitte sieh dir das Formular kurz an und sende es dann erneut.',
+            'spam.rateLimited': 'Du hast das bereits mehrmals gesendet. Bitte warte ein paar Minuten, bevor du es erneut versuchst.',
+            'spam.rejected': 'Das konnte gerade nicht gesendet werden. Bitte versuche es später erneut.',
+
+            'content.loadFailed': 'Die Beiträge konnten nicht geladen werden. Bitte prüfe deine Verbindung und lade die Seite neu.',
+            'content.type.post': 'Beitrag',
+            'content.type.tutorial': 'Tutorial',
+            'content.showCategory': 'Beiträge zu {category} anzeigen',
+            'content.showTag': 'Beiträge mit dem Tag {tag} anzeigen',
+            'content.readTutorial': 'Tutorial lesen →',
+            'reading.minRead': '{count} Min. Lesezeit',
+            'reading.minLeft': 'noch {count} Min.',
+            'reading.finished': 'Fertig',
+            'reading.duration': {
+                one: '{count} Minute',
+                other: '{count} Minuten'
+            },
+            'difficulty.beginner': 'Einsteiger',
+            'difficulty.intermediate': 'Fortgeschritten',
+            'difficulty.advanced': 'Experte',
+
+            'filters.label': 'Beiträge filtern',
+            'filters.categories': 'Kategorien',
+            'filters.tags': 'Tags',
+            'filters.match': 'Beiträge anzeigen, die passen zu',
+            'filters.matchAll': 'allen Filtern',
+            'filters.matchAny': 'einem der Filter',
+            'filters.clear': 'Filter zurücksetzen',
+            'filters.cleared': 'Filter zurückgesetzt',
+            'filters.none': 'Keine Beiträge passen zu diesen Filtern.',
+            'filters.showing': {
+                one: '{shown} von {count} Beitrag',
+                other: '{shown} von {count} Beiträgen'
+            },
+            'filters.total': {
+                one: '{count} Beitrag',
+                other: '{count} Beiträge'
+            },
+
+            'page.notFound': 'Seite nicht gefunden',
+            'page.notFoundText': 'Unter „#{path}“ gibt es nichts. Die Seite wurde vielleicht verschoben oder entfernt.',
+            'page.home': 'Zur Startseite',
+            'page.allPosts': 'Alle Beiträge ansehen',
+            'page.search': 'Blog durchsuchen',
+            'page.unavailable': 'Inhalt nicht verfügbar',
+            'page.unavailableOnline': 'Diese Seite konnte nicht geladen werden. Bitte versuche es gleich noch einmal.',
+            'page.unavailableOffline': 'Diese Seite ist noch nicht offline gespeichert. Stell die Verbindung wieder her und versuche es erneut.',
+            'page.retry': 'Erneut versuchen',
+
+            'article.backToPosts': '← Zurück zu den Beiträgen',
+            'article.backToTutorials': '← Zurück zu den Tutorials',
+            'article.headingLink': 'Link zu „{heading}“',
+            'toc.title': 'Auf dieser Seite',
+
+            'progress.label': 'Lesefortschritt',
+            'progress.value': '{percent} gelesen, {remaining}',
+            'resume.label': 'Weiterlesen',
+            'resume.post': 'Du hast beim letzten Mal {percent} dieses Beitrags gelesen.',
+            'resume.tutorial': 'Du hast beim letzten Mal {percent} dieses Tutorials gelesen.',
+            'resume.continue': 'Dort weiterlesen, wo du aufgehört hast',
+            'resume.restart': 'Von vorne beginnen',
+
+            'bookmark.save': '„{title}“ auf die Leseliste setzen',
+            'bookmark.saved': 'Auf deiner Leseliste gespeichert',
+            'bookmark.saveForLater': 'Für später merken',
+            'bookmark.added': '„{title}“ wurde auf deine Leseliste gesetzt',
+            'bookmark.removed': '„{title}“ wurde von deiner Leseliste entfernt',
+            'bookmark.failed': 'Deine Leseliste konnte nicht aktualisiert werden. Bitte versuche es erneut.',
+            'readingList.title': 'Leseliste',
+            'readingList.description': 'Beiträge und Tutorials, die du für später gespeichert hast.',
+            'readingList.intro': 'Beiträge und Tutorials, die auf diesem Gerät gespeichert sind. Gespeicherte Artikel kannst du auch offline lesen.',
+            'readingList.export': 'Als JSON exportieren',
+            'readingList.import': 'Importieren',
+            'readingList.empty': 'Noch nichts gespeichert. Mit dem Lesezeichen-Button kannst du jeden Beitrag und jedes Tutorial später lesen.',
+            'readingList.browse': 'Beiträge ansehen',
+            'readingList.savedOn': 'Gespeichert am {date}',
+            'readingList.remove': 'Entfernen',
+            'readingList.removeLabel': '„{title}“ von der Leseliste entfernen',
+            'readingList.invalidFile': 'Diese Datei ist kein Export einer Leseliste.',
+            'readingList.importFailed': 'Deine Leseliste konnte nicht importiert werden. Bitte versuche es erneut.',
+            'readingList.imported': {
+                one: '{count} Eintrag in deine Leseliste importiert.',
+                other: '{count} Einträge in deine Leseliste importiert.'
+            },
+            'readingList.nothingImported': 'Keine neuen Einträge zum Importieren.',
+            'readingList.skipped': '{count} bereits gespeichert oder nicht mehr verfügbar.',
+
+            'archive.title': 'Alle Beiträge',
+            'archive.description': 'Alle Artikel auf {site}, nach Monat.',
+            'archive.intro': '{count} Artikel über Cloud, DevOps und Entwicklung',
+            'archive.sortBy': 'Sortieren nach',
+            'archive.newest': 'Neueste zuerst',
+            'archive.oldest': 'Älteste zuerst',
+            'archive.shortest': 'Kürzeste Lesezeit',
+            'archive.longest': 'Längste Lesezeit',
+            'archive.loadMore': 'Weitere Beiträge laden',
+            'archive.showing': {
+                one: '{shown} von {count} Beitrag angezeigt',
+                other: '{shown} von {count} Beiträgen angezeigt'
+            },
+            'archive.loaded': {
+                one: '{count} weiterer Beitrag geladen. {shown} von {total} werden angezeigt.',
+                other: '{count} weitere Beiträge geladen. {shown} von {total} werden angezeigt.'
+            },
+            'archive.sorted': 'Beiträge sortiert: {sort}',
+
+            'search.label': 'Suchergebnisse',
+            'search.empty': 'Bitte gib einen Suchbegriff ein',
+            'search.results': {
+                one: '{count} Ergebnis für „{query}“',
+                other: '{count} Ergebnisse für „{query}“'
+            },
+            'search.noResults': 'Keine Ergebnisse für „{query}“',
+            'search.hint': 'Versuche ein anderes Stichwort, einen Tag wie „AWS“ oder eine Kategorie wie „DevOps“.',
+
+            'toast.close': 'Benachrichtigung schließen',
+            'toast.retry': 'Erneut versuchen',
+            'toast.undo': 'Rückgängig',
+
+            'consent.title': 'Deine Datenschutzeinstellungen',
+            'consent.text': 'Wir nutzen technisch notwendigen Speicher, um deine Einstellungen zu merken. Mit deiner Erlaubnis erfassen wir außerdem anonyme Nutzungsstatistiken, um den Blog zu verbessern. E-Mail-Adressen und Nachrichten, die du eingibst, sind nie enthalten.',
+            'consent.signal': 'Dein Browser sendet ein Do-Not-Track- oder Global-Privacy-Control-Signal, daher bleiben Statistiken aus.',
+            'consent.necessary': 'Notwendig (immer aktiv)',
+            'consent.analytics': 'Statistiken',
+            'consent.reject': 'Optionale ablehnen',
+            'consent.save': 'Auswahl speichern',
+            'consent.accept': 'Alle akzeptieren',
+            'consent.saved': 'Deine Datenschutzeinstellungen wurden gespeichert.',
+
+            'pwa.installed': 'Danke, dass du DevHubX Cloud Blog installiert hast!',
+            'offline.cached': 'Du bist offline. Diese Seite und alles, was du schon besucht hast, sind weiterhin verfügbar.',
+            'offline.uncached': 'Du bist offline. Diese Seite ist nicht offline gespeichert, daher funktionieren einige Funktionen eventuell nicht.',
+            'offline.online': 'Du bist wieder online',
+
+            'outbox.newsletter.rejected': 'Deine vorgemerkte Newsletter-Anmeldung konnte nicht gesendet werden. Bitte sende sie erneut ab.',
+            'outbox.newsletter.queued': {
+                one: 'Vorgemerkt: {count} Newsletter-Anmeldung wird gesendet, sobald du wieder online bist.',
+                other: 'Vorgemerkt: {count} Newsletter-Anmeldungen werden gesendet, sobald du wieder online bist.'
+            },
+            'outbox.contact.delivered': 'Deine vorgemerkte Nachricht wurde gesendet.',
+            'outbox.contact.rejected': 'Deine vorgemerkte Nachricht konnte nicht gesendet werden. Bitte sende sie erneut ab.',
+            'outbox.contact.queued': {
+                one: 'Vorgemerkt: {count} Nachricht wird gesendet, sobald du wieder online bist.',
+                other: 'Vorgemerkt: {count} Nachrichten werden gesendet, sobald du wieder online bist.'
+            },
+
+            'error.unexpected': 'Fehler: {message}'
+        },
+
+        es: {
+            'language.label': 'Idioma',
+            'language.changed': 'Idioma cambiado a {language}',
+
+            'nav.skip': 'Saltar al contenido principal',
+            'nav.main': 'Navegación principal',
+            'nav.toggleMenu': 'Abrir o cerrar el menú de navegación',
+            'nav.home': 'Inicio',
+            'nav.blog': 'Blog',
+            'nav.about': 'Acerca de',
+            'nav.tutorials': 'Tutoriales',
+            'nav.contact': 'Contacto',
+            'nav.readingList': 'Lista de lectura',
+            'nav.readingListCount': '({count} guardados)',
+            'nav.scrollToTop': 'Volver arriba',
+
+            'theme.button': 'Tema y color de acento',
+            'theme.heading': 'Tema',
+            'theme.system': 'Seguir al sistema',
+            'theme.light': 'Claro',
+            'theme.dark': 'Oscuro',
+            'theme.high-contrast': 'Alto contraste',
+            'theme.sepia': 'Sepia',
+            'theme.changed': 'Tema cambiado a {theme}',
+            'theme.changedSystem': 'El tema ahora sigue al sistema ({theme})',
+            'accent.heading': 'Color de acento',
+            'accent.default': 'Predeterminado',
+            'accent.blue': 'Azul',
+            'accent.purple': 'Morado',
+            'accent.pink': 'Rosa',
+            'accent.teal': 'Verde azulado',
+            'accent.orange': 'Naranja',
+            'accent.changed': 'Color de acento cambiado a {accent}',
+
+            'reader.title': 'Preferencias de lectura',
+            'reader.fontScale': 'Tamaño de letra',
+            'reader.lineHeight': 'Interlineado',
+            'reader.measure': 'Ancho de línea',
+            'reader.characters': {
+                one: '{count} carácter',
+                other: '{count} caracteres'
+            },
+            'reader.dyslexiaFont': 'Fuente adaptada a la dislexia',
+            'reader.reset': 'Restablecer valores',
+            'reader.resetDone': 'Preferencias de lectura restablecidas',
+
+            'form.invalidEmail': 'Introduce una dirección de correo válida',
+            'form.required': 'Rellena este campo',
+            'form.tooShort': {
+                one: 'Introduce al menos {count} carácter',
+                other: 'Introduce al menos {count} caracteres'
+            },
+            'form.tooLong': {
+                one: 'Usa como máximo {count} carácter',
+                other: 'Usa como máximo {count} caracteres'
+            },
+            'form.invalidFields': {
+                one: '{count} campo necesita tu atención',
+                other: '{count} campos necesitan tu atención'
+            },
+            'form.charactersLeft': {
+                one: 'Queda {count} carácter',
+                other: 'Quedan {count} caracteres'
+            },
+            'form.charactersOver': {
+                one: '{count} carácter por encima del límite',
+                other: '{count} caracteres por encima del límite'
+            },
+            'newsletter.queued': 'Estás sin conexión. Tu suscripción se enviará cuando vuelvas a conectarte.',
+            'newsletter.failed': 'No se pudo completar la suscripción. Inténtalo de nuevo.',
+            'newsletter.alreadySubscribed': '¡Ya estás suscrito!',
+            'newsletter.pending': '¡Casi listo! Abre el enlace que te acabamos de enviar para confirmar tu suscripción.',
+            'newsletter.pendingStatus': 'Pendiente de confirmación: enviamos un enlace a {email}.',
+            'newsletter.subscribedAs': 'Suscrito como {email}.',
+            'newsletter.manage': 'Gestionar preferencias',
+            'newsletter.title': 'Preferencias del boletín',
+            'newsletter.description': 'Elige los temas y la frecuencia del boletín de DevHubX Cloud, o date de baja.',
+            'newsletter.notSubscribed': 'No estás suscrito al boletín en este dispositivo.',
+            'newsletter.subscribe': 'Suscribirse',
+            'newsletter.pendingPage': 'Abre el enlace que enviamos a {email} para confirmar tu suscripción. Puede tardar unos minutos en llegar.',
+            'newsletter.useDifferentAddress': 'Usar otra dirección',
+            'newsletter.noToken': 'Estás suscrito. Para cambiar tus preferencias, usa el enlace al final de cualquier correo del boletín.',
+            'newsletter.confirmed': 'Tu suscripción está confirmada. ¡Bienvenido a bordo!',
+            'newsletter.confirmFailedTitle': 'Este enlace ya no es válido',
+            'newsletter.confirmFailed': 'Los enlaces de confirmación caducan a los dos días y solo funcionan una vez. Vuelve a suscribirte para recibir uno nuevo.',
+            'newsletter.subscribeAgain': 'Volver a suscribirse',
+            'newsletter.topics': 'Temas',
+            'newsletter.frequency': 'Frecuencia',
+            'newsletter.frequency.weekly': 'Resumen semanal',
+            'newsletter.frequency.monthly': 'Resumen mensual',
+            'newsletter.save': 'Guardar preferencias',
+            'newsletter.saved': 'Se guardaron tus preferencias del boletín.',
+            'newsletter.saveFailed': 'No se pudieron guardar tus preferencias. Inténtalo de nuevo.',
+            'newsletter.topicsRequired': 'Elige al menos un tema o date de baja más abajo.',
+            'newsletter.unsubscribeTitle': 'Darse de baja',
+            'newsletter.unsubscribeText': 'Dejar de enviar el boletín a {email}.',
+            'newsletter.unsubscribeConfirm': '¿Dejar de recibir el boletín de DevHubX Cloud? Puedes volver a suscribirte cuando quieras.',
+            'newsletter.unsubscribe': 'Darme de baja',
+            'newsletter.unsubscribed': 'Te has dado de baja. ¡Sentimos que te vayas!',
+            'newsletter.unsubscribeFailed': 'No se pudo completar la baja. Inténtalo de nuevo.',
+            'newsletter.linkInvalid': 'Este enlace ya no es válido. Puede que ya te hayas dado de baja.',
+            'contact.queued': 'Estás sin conexión. Tu mensaje se enviará cuando vuelvas a conectarte.',
+            'contact.success': '¡Mensaje enviado! Te responderemos pronto.',
+            'contact.failed': 'No se pudo enviar el mensaje. Inténtalo de nuevo.',
+            'contact.draftRestored': 'Borrador de tu última visita restaurado.',
+            'contact.discardDraft': 'Descartar',
+            'spam.tooFast': 'Tómate un momento para revisar el formulario y vuelve a enviarlo.',
+            'spam.rateLimited': 'Ya lo has enviado varias veces. Espera unos minutos antes de volver a intentarlo.',
+            'spam.rejected': 'No se ha podido enviar en este momento. Inténtalo más tarde.',
+
+            'content.loadFailed': 'No se pudieron cargar las publicaciones. Comprueba tu conexión y recarga la página.',
+            'content.type.post': 'Publicación',
+            'content.type.tutorial': 'Tutorial',
+            'content.showCategory': 'Ver publicaciones de {category}',
+            'content.showTag': 'Ver publicaciones con la etiqueta {tag}',
+            'content.readTutorial': 'Leer tutorial →',
+            'reading.minRead': '{count} min de lectura',
+            'reading.minLeft': 'quedan {count} min',
+            'reading.finished': 'Terminado',
+            'reading.duration': {
+                one: '{count} minuto',
+                other: '{count} minutos'
+            },
+            'difficulty.beginner': 'Principiante',
+            'difficulty.intermediate': 'Intermedio',
+            'difficulty.advanced': 'Avanzado',
+
+            'filters.label': 'Filtrar publicaciones',
+            'filters.categories': 'Categorías',
+            'filters.tags': 'Etiquetas',
+            'filters.match': 'Mostrar publicaciones que cumplan',
+            'filters.matchAll': 'Todos los filtros',
+            'filters.matchAny': 'Cualquier filtro',
+            'filters.clear': 'Quitar filtros',
+            'filters.cleared': 'Filtros quitados',
+            'filters.none': 'Ninguna publicación coincide con estos filtros.',
+            'filters.showing': {
+                one: 'Mostrando {shown} de {count} publicación',
+                other: 'Mostrando {shown} de {count} publicaciones'
+            },
+            'filters.total': {
+                one: '{count} publicación',
+                other: '{count} publicaciones'
+            },
+
+            'page.notFound': 'Página no encontrada',
+            'page.notFoundText': 'No hay nada en «#{path}». Puede que se haya movido o eliminado.',
+            'page.home': 'Ir a la página de inicio',
+            'page.allPosts': 'Ver todas las publicaciones',
+            'page.search': 'Buscar en el blog',
+            'page.unavailable': 'Contenido no disponible',
+            'page.unavailableOnline': 'No se pudo cargar esta página. Inténtalo de nuevo en un momento.',
+            'page.unavailableOffline': 'Esta página aún no está guardada para leer sin conexión. Vuelve a conectarte e inténtalo de nuevo.',
+            'page.retry': 'Reintentar',
+
+            'article.backToPosts': '← Volver a las publicaciones',
+            'article.backToTutorials': '← Volver a los tutoriales',
+            'article.headingLink': 'Enlace a «{heading}»',
+            'toc.title': 'En esta página',
+
+            'progress.label': 'Progreso de lectura',
+            'progress.value': '{percent} leído, {remaining}',
+            'resume.label': 'Continuar leyendo',
+            'resume.post': 'La última vez leíste el {percent} de esta publicación.',
+            'resume.tutorial': 'La última vez leíste el {percent} de este tutorial.',
+            'resume.continue': 'Continuar donde lo dejaste',
+            'resume.restart': 'Empezar desde el principio',
+
+            'bookmark.save': 'Guardar «{title}» en la lista de lectura',
+            'bookmark.saved': 'Guardado en tu lista de lectura',
+            'bookmark.saveForLater': 'Guardar para más tarde',
+            'bookmark.added': '«{title}» se guardó en tu lista de lectura',
+            'bookmark.removed': '«{title}» se quitó de tu lista de lectura',
+            'bookmark.failed': 'No se pudo actualizar tu lista de lectura. Inténtalo de nuevo.',
+            'readingList.title': 'Lista de lectura',
+            'readingList.description': 'Publicaciones y tutoriales guardados para más tarde.',
+            'readingList.intro': 'Publicaciones y tutoriales guardados en este dispositivo. Los artículos guardados se pueden leer sin conexión.',
+            'readingList.export': 'Exportar como JSON',
+            'readingList.import': 'Importar',
+            'readingList.empty': 'Todavía no has guardado nada. Usa el botón de marcador de cualquier publicación o tutorial para leerlo más tarde.',
+            'readingList.browse': 'Ver publicaciones',
+            'readingList.savedOn': 'Guardado el {date}',
+            'readingList.remove': 'Quitar',
+            'readingList.removeLabel': 'Quitar «{title}» de la lista de lectura',
+            'readingList.invalidFile': 'Ese archivo no es una exportación de la lista de lectura.',
+            'readingList.importFailed': 'No se pudo importar tu lista de lectura. Inténtalo de nuevo.',
+            'readingList.imported': {
+                one: 'Se importó {count} elemento a tu lista de lectura.',
+                other: 'Se importaron {count} elementos a tu lista de lectura.'
+            },
+            'readingList.nothingImported': 'No hay elementos nuevos para importar.',
+            'readingList.skipped': {
+                one: '{count} ya guardado o no disponible.',
+                other: '{count} ya guardados o no disponibles.'
+            },
+
+            'archive.title': 'Todas las publicaciones',
+            'archive.description': 'Todos los artículos de {site}, por mes.',
+            'archive.intro': {
+                one: '{count} artículo sobre la nube, DevOps y desarrollo',
+                other: '{count} artículos sobre la nube, DevOps y desarrollo'
+            },
+            'archive.sortBy': 'Ordenar por',
+            'archive.newest': 'Más recientes',
+            'archive.oldest': 'Más antiguas',
+            'archive.shortest': 'Lectura más corta',
+            'archive.longest': 'Lectura más larga',
+            'archive.loadMore': 'Cargar más publicaciones',
+            'archive.showing': {
+                one: 'Mostrando {shown} de {count} publicación',
+                other: 'Mostrando {shown} de {count} publicaciones'
+            },
+            'archive.loaded': {
+                one: 'Se cargó {count} publicación más. Mostrando {shown} de {total}.',
+                other: 'Se cargaron {count} publicaciones más. Mostrando {shown} de {total}.'
+            },
+            'archive.sorted': 'Publicaciones ordenadas: {sort}',
+
+            'search.label': 'Resultados de búsqueda',
+            'search.empty': 'Introduce un término de búsqueda',
+            'search.results': {
+                one: '{count} resultado para «{query}»',
+                other: '{count} resultados para «{query}»'
+            },
+            'search.noResults': 'No hay resultados para «{query}»',
+            'search.hint': 'Prueba con otra palabra clave, una etiqueta como «AWS» o una categoría como «DevOps».',
+
+            'toast.close': 'Cerrar notificación',
+            'toast.retry': 'Reintentar',
+            'toast.undo': 'Deshacer',
+
+            'consent.title': 'Tus opciones de privacidad',
+            'consent.text': 'Usamos el almacenamiento estrictamente necesario para recordar tus ajustes. Con tu permiso también recopilamos analíticas de uso anónimas para mejorar el blog. Nunca se incluyen los correos ni los mensajes que escribes.',
+            'consent.signal': 'Tu navegador envía una señal Do Not Track o Global Privacy Control, así que las analíticas permanecen desactivadas.',
+            'consent.necessary': 'Necesario (siempre activo)',
+            'consent.analytics': 'Analíticas',
+            'consent.reject': 'Rechazar opcionales',
+            'consent.save': 'Guardar opciones',
+            'consent.accept': 'Aceptar todo',
+            'consent.saved': 'Se han guardado tus opciones de privacidad.',
+
+            'pwa.installed': '¡Gracias por instalar DevHubX Cloud Blog!',
+            'offline.cached': 'Estás sin conexión. Esta página y todo lo que ya has visitado siguen disponibles.',
+            'offline.uncached': 'Estás sin conexión. Esta página no está guardada para usarla sin conexión, así que algunas funciones pueden no estar disponibles.',
+            'offline.online': 'Vuelves a estar en línea',
+
+            'outbox.newsletter.rejected': 'No se pudo enviar tu suscripción pendiente al boletín. Vuelve a enviarla.',
+            'outbox.newsletter.queued': {
+                one: 'En cola: {count} suscripción al boletín se enviará cuando vuelvas a estar en línea.',
+                other: 'En cola: {count} suscripciones al boletín se enviarán cuando vuelvas a estar en línea.'
+            },
+            'outbox.contact.delivered': 'Se ha enviado tu mensaje pendiente.',
+            'outbox.contact.rejected': 'No se pudo enviar tu mensaje pendiente. Vuelve a enviarlo.',
+            'outbox.contact.queued': {
+                one: 'En cola: {count} mensaje se enviará cuando vuelvas a estar en línea.',
+                other: 'En cola: {count} mensajes se enviarán cuando vuelvas a estar en línea.'
+            },
+
+            'error.unexpected': 'Error: {message}'
+        }
+    };
+
+    // ============================================
+    // LOCALES
+    // ============================================
+
+    /**
+     * Best supported locale for a list of language tags (e.g. navigator.languages)
+     * Exact matches win over a shared base language ("de-AT" matches "de")
+     * @param {string[]} languages - In order of preference
+     * @returns {string|null}
+     */
+    function matchLocale(languages) {
+        const tags = [].concat(languages || []).filter(Boolean).map(tag => String(tag).toLowerCase());
+
+        for (const tag of tags) {
+            if (LOCALES[tag]) return tag;
+
+            const base = tag.split('-')[0];
+            if (LOCALES[base]) return base;
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // TRANSLATION
+    // ============================================
+
+    const pluralRules = {};
+    const numberFormats = {};
+
+    /**
+     * Cached Intl.PluralRules for a locale
+     */
+    function getPluralRules(locale) {
+        if (!pluralRules[locale]) {
+            pluralRules[locale] = new Intl.PluralRules(locale);
+        }
+        return pluralRules[locale];
+    }
+
+    /**
+     * Cached Intl.NumberFormat for a locale
+     */
+    function getNumberFormat(locale) {
+        if (!numberFormats[locale]) {
+            numberFormats[locale] = new Intl.NumberFormat(locale);
+        }
+        return numberFormats[locale];
+    }
+
+    /**
+     * Message for a key, falling back to English and then to the key itself
+     */
+    function getMessage(locale, key) {
+        const messages = MESSAGES[locale] || {};
+        if (key in messages) return { locale, message: messages[key] };
+        if (key in MESSAGES[DEFAULT_LOCALE]) return { locale: DEFAULT_LOCALE, message: MESSAGES[DEFAULT_LOCALE][key] };
+        return { locale, message: key };
+    }
+
+    /**
+     * Translate a message
+     * Numbers in params are formatted for the locale
+     * @param {string} locale
+     * @param {string} key
+     * @param {Object} [params] - Placeholder values; params.count selects the plural form
+     * @returns {string}
+     */
+    function translate(locale, key, params = {}) {
+        const found = getMessage(locale, key);
+        let message = found.message;
+
+        if (message && typeof message === 'object') {
+            const category = typeof params.count === 'number'
+                ? getPluralRules(found.locale).select(params.count)
+                : 'other';
+            message = message[category] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+
+            const value = params[name];
+            return typeof value === 'number' ? getNumberFormat(found.locale).format(value) : String(value);
+        });
+    }
+
+    /**
+     * Keys missing from a catalog, and keys English doesn't know
+     */
+    function compareCatalog(locale) {
+        const reference = Object.keys(MESSAGES[DEFAULT_LOCALE]);
+        const keys = Object.keys(MESSAGES[locale] || {});
+
+        return {
+            missing: reference.filter(key => !keys.includes(key)),
+            unknown: keys.filter(key => !reference.includes(key))
+        };
+    }
+
+    return {
+        LOCALES,
+        DEFAULT_LOCALE,
+        MESSAGES,
+        matchLocale,
+        translate,
+        compareCatalog
+    };
+});
+
+// Check every catalog against English when run directly: `node i18n.js`
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const { LOCALES, DEFAULT_LOCALE, compareCatalog } = module.exports;
+    let complete = true;
+
+    Object.keys(LOCALES).filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+        const { missing, unknown } = compareCatalog(locale);
+
+        missing.forEach(key => console.log(`${locale}: missing "${key}"`));
+        unknown.forEach(key => console.log(`${locale}: unknown "${key}"`));
+
+        if (missing.length || unknown.length) {
+            complete = false;
+        } else {
+            console.log(`${locale}: complete`);
+        }
+    });
+
+    process.exit(complete ? 0 : 1);
+}
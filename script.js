@@ -12,14 +12,32 @@ const CONFIG = {
     api: {
         newsletter: 'https://api.devhubx.org/newsletter',
         contact: 'https://api.devhubx.org/contact',
-        analytics: 'https://api.devhubx.org/analytics'
+        analytics: 'https://api.devhubx.org/analytics',
+
+        // Transport: 'fetch' calls the endpoints above, 'mock' answers locally
+        adapter: ['localhost', '127.0.0.1'].includes(window.location.hostname) ? 'mock' : 'fetch',
+        timeout: 10000,
+        retries: 2,
+        retryDelay: 500,
+        mockLatency: 600,
+        // Log mock requests to the console (method, URL and status; never the body)
+        mockDebug: false
     },
     
     // Local storage keys
     storage: {
-        theme: 'devhubx_theme',
-        newsletterSubscribed: 'devhubx_newsletter_subscribed',
-        visitedBefore: 'devhubx_visited'
+        // Keys boot.js reads before the first paint (boot.js must load before this file)
+        theme: window.DevHubXBoot.storage.theme,
+        locale: 'devhubx_locale',
+        readerPreferences: window.DevHubXBoot.storage.readerPreferences,
+        readingPositions: 'devhubx_reading_positions',
+        newsletter: 'devhubx_newsletter',
+        visitedBefore: 'devhubx_visited',
+        analyticsQueue: 'devhubx_analytics_queue',
+        consent: 'devhubx_consent',
+        // Session storage
+        submissions: 'devhubx_submissions',
+        contactDraft: 'devhubx_contact_draft'
     },
     
     // Animation durations (ms)
@@ -32,7 +50,113 @@ const CONFIG = {
     // Toast messages configuration
     toast: {
         duration: 5000,
-        position: 'bottom-center'
+        // Toasts with actions stay longer so there is time to use them
+        actionDuration: 10000,
+        // 'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center' or 'bottom-right'
+        position: 'bottom-center',
+        // More toasts wait in a queue
+        maxVisible: 3
+    },
+
+    // IndexedDB database and its object stores
+    db: {
+        name: 'devhubx',
+        version: 2,
+        stores: {
+            outbox: { keyPath: 'id', autoIncrement: true },
+            bookmarks: { keyPath: 'id' }
+        }
+    },
+    
+    // Offline outbox for form submissions
+    outbox: {
+        syncTag: 'devhubx-outbox',
+        // Attempts before an entry the server keeps failing on is dropped (keep in sync with sw.js)
+        maxAttempts: 5,
+        // An entry being sent is left alone for this long; if the page or worker sending
+        // it goes away, it is picked up again afterwards (keep in sync with sw.js)
+        leaseDuration: 2 * 60 * 1000
+    },
+
+    // Spam protection for the contact and newsletter forms
+    spam: {
+        // Submissions sent sooner after the form was shown are refused
+        minFillTime: 3000,
+        // Submissions per form and session within the window
+        rateLimit: 3,
+        rateLimitWindow: 10 * 60 * 1000,
+        // Leading zero bits required of the SHA-256 proof of work (0 turns it off)
+        proofOfWorkBits: 14,
+        // Tokens older than this are refused (the outbox gives older queued submissions a new one)
+        proofOfWorkMaxAge: 24 * 60 * 60 * 1000
+    },
+
+    // Contact form drafts
+    drafts: {
+        saveDelay: 1000,
+        // Older drafts are dropped instead of restored
+        maxAge: 24 * 60 * 60 * 1000
+    },
+
+    // Consent records are re-requested whenever the version changes
+    consent: {
+        version: 1
+    },
+    
+    // Personal data removed from tracked events
+    privacy: {
+        emailFields: ['email'],
+        freeTextFields: ['name', 'subject', 'message', 'query']
+    },
+    
+    // Analytics batching
+    analytics: {
+        batchSize: 20,
+        flushInterval: 15000,
+        maxQueueSize: 200
+    },
+    
+    // Posts and tutorials manifest
+    content: {
+        manifestUrl: 'posts.json',
+        siteName: 'DevHubX Cloud Blog',
+        featuredPosts: 4,
+        mobilePosts: 3,
+        archivePageSize: 10,
+        // Articles with fewer h2/h3 headings don't get a table of contents
+        tocMinHeadings: 3,
+        author: 'DevHubX Cloud Team',
+        publisher: 'DevHubX'
+    },
+    
+    // Reading progress and resume positions on article pages
+    reading: {
+        wordsPerMinute: 200,
+        // Positions are only saved between these fractions of the article
+        minProgress: 0.05,
+        finishedAt: 0.98,
+        maxSavedPositions: 50,
+        saveDelay: 500
+    },
+    
+    // Service worker (offline support)
+    serviceWorker: {
+        url: '/sw.js',
+        messageTimeout: 1000
+    },
+
+    // Client-side search
+    search: {
+        minQueryLength: 2,
+        maxResults: 10,
+        debounce: 200,
+        // Relative weight of a match in each indexed field
+        weights: {
+            title: 5,
+            tags: 3,
+            category: 3,
+            excerpt: 1
+        }
     }
 };
 
@@ -83,6 +207,38 @@ function setCSSVariable(name, value) {
     document.documentElement.style.setProperty(name, value);
 }
 
+/**
+ * Remove a CSS variable set with setCSSVariable
+ */
+function removeCSSVariable(name) {
+    document.documentElement.style.removeProperty(name);
+}
+
+/**
+ * Random hexadecimal string from the given number of bytes
+ */
+function createRandomToken(bytes = 16) {
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create an icon from the SVG sprite in index.html
+ */
+function createIcon(name, size = 16) {
+    const svgNamespace = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNamespace, 'svg');
+    const use = document.createElementNS(svgNamespace, 'use');
+    
+    svg.setAttribute('width', size);
+    svg.setAttribute('height', size);
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('class', `icon icon-${name}`);
+    use.setAttribute('href', `#icon-${name}`);
+    svg.appendChild(use);
+    
+    return svg;
+}
+
 /**
  * Check if user prefers reduced motion
  */
@@ -91,952 +247,7267 @@ function prefersReducedMotion() {
 }
 
 /**
- * Format date to readable string
+ * Format date to readable string in the current locale
  */
-function formatDate(dateString) {
+function formatDate(dateString, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
     const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
+    return date.toLocaleDateString(i18nState.locale, options);
+}
+
+/**
+ * Create a DOM element with attributes and children
+ * Children may be nodes or strings (strings are inserted as text)
+ */
+function createElement(tag, attributes = {}, children = []) {
+    const element = document.createElement(tag);
+
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value === null || value === undefined || value === false) return;
+
+        if (name === 'className') {
+            element.className = value;
+        } else if (name === 'dataset') {
+            Object.assign(element.dataset, value);
+        } else if (name.startsWith('on') && typeof value === 'function') {
+            element.addEventListener(name.slice(2).toLowerCase(), value);
+        } else {
+            element.setAttribute(name, value === true ? '' : value);
+        }
+    });
+
+    [].concat(children).forEach(child => {
+        if (child === null || child === undefined || child === false) return;
+        element.append(child instanceof Node ? child : String(child));
+    });
+
+    return element;
+}
+
+/**
+ * Track which element is being read, using IntersectionObserver instead of scroll offsets
+ * The active element is the first one inside the band below the fixed header, or else
+ * the last one scrolled past (the reader is in its section). onChange receives the
+ * element or null. Without IntersectionObserver nothing is ever active.
+ * @param {Element[]} elements - In document order
+ * @param {(element: Element|null) => void} onChange
+ */
+function createScrollSpy(elements, onChange) {
+    const positions = new Map();
+    let active = null;
+    
+    if (!('IntersectionObserver' in window) || !elements.length) {
+        return { getActive: () => null, disconnect() {} };
+    }
+    
+    const header = document.querySelector('header');
+    const headerHeight = header ? header.offsetHeight : 0;
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            let position = 'above';
+            if (entry.isIntersecting) {
+                position = 'inside';
+            } else if (entry.rootBounds && entry.boundingClientRect.top >= entry.rootBounds.bottom) {
+                position = 'below';
+            }
+            positions.set(entry.target, position);
+        });
+        
+        const next = elements.find(element => positions.get(element) === 'inside')
+            || elements.filter(element => positions.get(element) === 'above').pop()
+            || null;
+        
+        if (next !== active) {
+            active = next;
+            onChange(active);
+        }
+    }, {
+        // A band from the header to 40% of the viewport
+        rootMargin: `-${headerHeight}px 0px -60% 0px`
     });
+    
+    elements.forEach(element => observer.observe(element));
+    
+    return {
+        getActive: () => active,
+        disconnect: () => observer.disconnect()
+    };
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count the words in a text
+ */
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Calculate reading time in minutes
+ */
+function getReadingMinutes(text) {
+    return Math.max(1, Math.ceil(countWords(text) / CONFIG.reading.wordsPerMinute));
+}
+
+/**
+ * Format a reading time label
+ */
+function formatReadingTime(minutes) {
+    return t('reading.minRead', { count: minutes });
 }
 
 /**
  * Calculate reading time
  */
 function calculateReadingTime(text) {
-    const wordsPerMinute = 200;
-    const words = text.split(/\s+/).length;
-    const minutes = Math.ceil(words / wordsPerMinute);
-    return `${minutes} min read`;
+    return formatReadingTime(getReadingMinutes(text));
 }
 
 // ============================================
-// THEME MANAGEMENT
+// TRUSTED TYPES
 // ============================================
 
+// The Content-Security-Policy in index.html requires Trusted Types, so strings only
+// reach script and HTML sinks through this policy; keep the names in sync with its
+// trusted-types directive. Everything else is built with createElement() and text nodes.
+// HTML passing through the policy is sanitized, so trustedHTML() can't smuggle markup in.
+const TRUSTED_TYPES_POLICY = 'devhubx';
+
+// Lets the sanitizer parse markup; only ever held inside createTrustedTypesPolicy()
+const TRUSTED_TYPES_PARSER_POLICY = 'devhubx-parser';
+
+const trustedTypesPolicy = createTrustedTypesPolicy();
+
 /**
- * Initialize theme system
+ * Create the page's Trusted Types policy (null where the browser has none)
  */
-function initTheme() {
-    // Check for saved theme preference or use system preference
-    const savedTheme = localStorage.getItem(CONFIG.storage.theme);
-    const systemPrefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    
-    // Set initial theme
-    if (savedTheme === 'dark' || (!savedTheme && systemPrefersDark)) {
-        setTheme('dark');
-    } else {
-        setTheme('light');
-    }
+function createTrustedTypesPolicy() {
+    if (!window.trustedTypes) return null;
     
-    // Create theme toggle button if it doesn't exist
-    createThemeToggle();
+    // Parsing is itself a sink; the raw markup only reaches an inert document
+    const parser = window.trustedTypes.createPolicy(TRUSTED_TYPES_PARSER_POLICY, {
+        createHTML: html => html
+    });
     
-    // Listen for system theme changes
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (!localStorage.getItem(CONFIG.storage.theme)) {
-            setTheme(e.matches ? 'dark' : 'light');
+    return window.trustedTypes.createPolicy(TRUSTED_TYPES_POLICY, {
+        // Markup reduced to the content allowlist (see sanitizeHTML())
+        createHTML: html => {
+            const { body } = new DOMParser().parseFromString(parser.createHTML(html), 'text/html');
+            cleanHTML(body);
+            return body.innerHTML;
+        },
+        
+        // Only JSON-LD data blocks are written into <script> elements
+        createScript: json => {
+            JSON.parse(json);
+            return json;
+        },
+        
+        // Only scripts from this site (the service worker)
+        createScriptURL: url => {
+            if (new URL(url, window.location.href).origin !== window.location.origin) {
+                throw new TypeError(`Refusing to load script from another origin: ${url}`);
+            }
+            return url;
         }
     });
 }
 
 /**
- * Set theme
+ * Markup for an HTML sink
  */
-function setTheme(theme) {
-    // Validate theme
-    if (!['light', 'dark'].includes(theme)) {
-        console.error('Invalid theme:', theme);
-        return;
-    }
-    
-    // Set data attribute
-    document.documentElement.setAttribute('data-theme', theme);
-    
-    // Save preference
-    localStorage.setItem(CONFIG.storage.theme, theme);
+function trustedHTML(html) {
+    return trustedTypesPolicy ? trustedTypesPolicy.createHTML(html) : html;
+}
+
+/**
+ * JSON text for a data block <script>
+ */
+function trustedScript(json) {
+    return trustedTypesPolicy ? trustedTypesPolicy.createScript(json) : json;
+}
+
+/**
+ * Same-origin URL for a script sink
+ */
+function trustedScriptURL(url) {
+    return trustedTypesPolicy ? trustedTypesPolicy.createScriptURL(url) : url;
+}
+
+// ============================================
+// INTERNATIONALIZATION
+// ============================================
+
+// Message catalogs and plural rules live in i18n.js (window.DevHubXI18n)
+const i18nState = {
+    locale: 'en'
+};
+
+// Static markup is translated through data attributes: data-i18n sets the text,
+// data-i18n-aria-label (and the others below) set that attribute
+const I18N_ATTRIBUTES = ['aria-label', 'title', 'placeholder'];
+
+/**
+ * Initialize the UI language
+ */
+function initI18n() {
+    i18nState.locale = detectLocale();
+    applyLocale();
+    createLanguageSwitcher();
+}
+
+/**
+ * The saved choice, then the browser languages, then English
+ */
+function detectLocale() {
+    const i18n = window.DevHubXI18n;
+    if (!i18n) return 'en';
     
-    // Update theme toggle button state
-    updateThemeToggle(theme);
+    const saved = localStorage.getItem(CONFIG.storage.locale);
+    if (saved && i18n.LOCALES[saved]) return saved;
     
-    // Announce theme change for screen readers
-    announceToScreenReader(`Theme changed to ${theme} mode`);
+    return i18n.matchLocale(navigator.languages || [navigator.language]) || i18n.DEFAULT_LOCALE;
 }
 
 /**
- * Toggle between light and dark themes
+ * Translate a message in the current locale
+ * @param {string} key - Message key from i18n.js
+ * @param {Object} [params] - Placeholder values; params.count selects the plural form
  */
-function toggleTheme() {
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-    setTheme(newTheme);
+function t(key, params) {
+    const i18n = window.DevHubXI18n;
+    return i18n ? i18n.translate(i18nState.locale, key, params) : key;
+}
+
+/**
+ * Format a number for the current locale
+ */
+function formatNumber(value, options) {
+    return new Intl.NumberFormat(i18nState.locale, options).format(value);
+}
+
+/**
+ * Format a fraction (0-1) as a percentage for the current locale
+ */
+function formatPercent(fraction) {
+    return formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
 }
 
 /**
- * Create theme toggle button
+ * Switch the UI language and re-render everything built by script.js
  */
-function createThemeToggle() {
-    // Check if toggle already exists
-    if (document.querySelector('.theme-toggle')) {
+function setLocale(locale) {
+    const i18n = window.DevHubXI18n;
+    if (!i18n || !i18n.LOCALES[locale]) {
+        console.error('Invalid locale:', locale);
         return;
     }
     
-    // Create toggle button
-    const themeToggle = document.createElement('button');
-    themeToggle.className = 'theme-toggle btn btn-ghost btn-icon';
-    themeToggle.setAttribute('aria-label', 'Toggle theme');
-    themeToggle.setAttribute('aria-pressed', 'false');
-    themeToggle.innerHTML = `
-        <svg class="sun" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <circle cx="12" cy="12" r="5"/>
-            <line x1="12" y1="1" x2="12" y2="3"/>
-            <line x1="12" y1="21" x2="12" y2="23"/>
-            <line x1="4.22" y1="4.22" x2="5.64" y2="5.64"/>
-            <line x1="18.36" y1="18.36" x2="19.78" y2="19.78"/>
-            <line x1="1" y1="12" x2="3" y2="12"/>
-            <line x1="21" y1="12" x2="23" y2="12"/>
-            <line x1="4.22" y1="19.78" x2="5.64" y2="18.36"/>
-            <line x1="18.36" y1="5.64" x2="19.78" y2="4.22"/>
-        </svg>
-        <svg class="moon" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M21 12.79A9 9 0 1111.21 3 7 7 0 0021 12.79z"/>
-        </svg>
-    `;
-    
-    // Add event listener
-    themeToggle.addEventListener('click', toggleTheme);
-    themeToggle.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            toggleTheme();
-        }
-    });
+    if (locale === i18nState.locale) return;
     
-    // Add to navigation
-    const navActions = document.querySelector('.nav-actions') || createNavActions();
-    navActions.prepend(themeToggle);
+    i18nState.locale = locale;
+    localStorage.setItem(CONFIG.storage.locale, locale);
+    applyLocale();
     
-    // Update initial state
-    const currentTheme = document.documentElement.getAttribute('data-theme');
-    updateThemeToggle(currentTheme);
+    // Sections that render their own text listen for this and re-render
+    document.dispatchEvent(new CustomEvent('locale:change', { detail: { locale } }));
+    
+    announceToScreenReader(t('language.changed', { language: i18n.LOCALES[locale] }));
+    trackEvent('language_change', { locale });
 }
 
 /**
- * Update theme toggle button state
+ * Apply the current locale to <html lang> and the translatable markup
  */
-function updateThemeToggle(theme) {
-    const toggle = document.querySelector('.theme-toggle');
-    if (!toggle) return;
-    
-    toggle.setAttribute('aria-pressed', theme === 'dark');
+function applyLocale() {
+    document.documentElement.setAttribute('lang', i18nState.locale);
+    translateElements(document);
     
-    // Update icons visibility
-    const sunIcon = toggle.querySelector('.sun');
-    const moonIcon = toggle.querySelector('.moon');
+    const select = document.getElementById('languageSelect');
+    if (select) {
+        select.value = i18nState.locale;
+    }
+}
+
+/**
+ * Translate elements marked with data-i18n attributes inside a root (including the root)
+ */
+function translateElements(root) {
+    const selector = ['[data-i18n]', ...I18N_ATTRIBUTES.map(attribute => `[data-i18n-${attribute}]`)].join(', ');
+    const elements = [...root.querySelectorAll(selector)];
     
-    if (theme === 'dark') {
-        sunIcon.style.opacity = '0.5';
-        moonIcon.style.opacity = '1';
-    } else {
-        sunIcon.style.opacity = '1';
-        moonIcon.style.opacity = '0.5';
+    if (root.matches && root.matches(selector)) {
+        elements.unshift(root);
     }
+    
+    elements.forEach(element => {
+        if (element.dataset.i18n) {
+            element.textContent = t(element.dataset.i18n);
+        }
+        
+        I18N_ATTRIBUTES.forEach(attribute => {
+            const key = element.getAttribute(`data-i18n-${attribute}`);
+            if (key) element.setAttribute(attribute, t(key));
+        });
+    });
+    
+    return root;
 }
 
 /**
- * Create nav actions container if it doesn't exist
+ * Create the language switcher in the navigation
  */
-function createNavActions() {
-    const navContainer = document.querySelector('.nav-container');
-    const navActionsDiv = document.createElement('div');
-    navActionsDiv.className = 'nav-actions';
-    navContainer.appendChild(navActionsDiv);
-    return navActionsDiv;
+function createLanguageSwitcher() {
+    const i18n = window.DevHubXI18n;
+    if (!i18n || document.getElementById('languageSelect')) return;
+    
+    // Each language is named in itself, so its option carries its own lang
+    const select = createElement('select', {
+        id: 'languageSelect',
+        className: 'language-select',
+        dataset: { i18nAriaLabel: 'language.label' },
+        onChange: (e) => setLocale(e.target.value)
+    }, Object.entries(i18n.LOCALES).map(([locale, name]) => (
+        createElement('option', { value: locale, lang: locale }, name)
+    )));
+    
+    select.value = i18nState.locale;
+    
+    // The theme picker and reader preferences are prepended in front of it
+    const navActions = document.querySelector('.nav-actions') || createNavActions();
+    navActions.prepend(translateElements(createElement('div', { className: 'language-switcher' }, select)));
 }
 
 // ============================================
-// NAVIGATION
+// THEME MANAGEMENT
 // ============================================
 
+// Available themes, as listed in boot.js (labels are i18n message keys); "system"
+// follows prefers-color-scheme and prefers-contrast
+const THEMES = Object.fromEntries(window.DevHubXBoot.themes.map(theme => [theme, { label: `theme.${theme}` }]));
+
+// Accent colors applied over the theme palette (ignored by the high-contrast theme)
+const ACCENT_COLORS = {
+    default: { label: 'accent.default', color: null },
+    blue: { label: 'accent.blue', color: '#4361ee' },
+    purple: { label: 'accent.purple', color: '#7209b7' },
+    pink: { label: 'accent.pink', color: '#d6246e' },
+    teal: { label: 'accent.teal', color: '#0f7b6c' },
+    orange: { label: 'accent.orange', color: '#c2410c' }
+};
+
+const themeState = {
+    preference: 'system',
+    accent: 'default'
+};
+
 /**
- * Initialize navigation
+ * Initialize theme system
  */
-function initNavigation() {
-    const menuToggle = document.getElementById('menuToggle');
-    const navMenu = document.getElementById('navMenu');
-    const navLinks = document.querySelectorAll('.nav-link');
+function initTheme() {
+    const saved = loadThemeSettings();
+    themeState.preference = saved.theme;
+    themeState.accent = saved.accent;
     
-    if (!menuToggle || !navMenu) return;
+    applyTheme();
     
-    // Toggle mobile menu
-    menuToggle.addEventListener('click', () => {
-        const isExpanded = menuToggle.getAttribute('aria-expanded') === 'true';
-        toggleMobileMenu(!isExpanded);
-    });
+    // Create theme picker if it doesn't exist
+    createThemePicker();
     
-    // Close menu when clicking on nav links
-    navLinks.forEach(link => {
-        link.addEventListener('click', () => {
-            if (window.innerWidth <= 768) {
-                toggleMobileMenu(false);
+    // Follow system changes while the preference is "system"
+    ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+        window.matchMedia(query).addEventListener('change', () => {
+            if (themeState.preference === 'system') {
+                applyTheme();
             }
         });
     });
+}
+
+/**
+ * Read the saved theme and accent (older versions stored just "light" or "dark")
+ */
+function loadThemeSettings() {
+    const defaults = { theme: 'system', accent: 'default' };
+    const saved = localStorage.getItem(CONFIG.storage.theme);
+    if (!saved) return defaults;
     
-    // Close menu when clicking outside
-    document.addEventListener('click', (event) => {
-        if (!navMenu.contains(event.target) && !menuToggle.contains(event.target)) {
-            toggleMobileMenu(false);
-        }
-    });
+    let settings;
+    try {
+        settings = JSON.parse(saved);
+    } catch (error) {
+        settings = { theme: saved };
+    }
     
-    // Handle keyboard navigation
-    document.addEventListener('keydown', (event) => {
-        if (event.key === 'Escape' && navMenu.classList.contains('active')) {
-            toggleMobileMenu(false);
-            menuToggle.focus();
-        }
-        
-        // Trap focus in mobile menu
-        if (event.key === 'Tab' && navMenu.classList.contains('active')) {
-            trapFocus(navMenu, event);
-        }
-    });
+    if (!settings || typeof settings !== 'object') {
+        settings = { theme: saved };
+    }
     
-    // Update active link on scroll
-    window.addEventListener('scroll', throttle(updateActiveNavLink, 100));
+    return {
+        theme: settings.theme === 'system' || THEMES[settings.theme] ? settings.theme : defaults.theme,
+        accent: ACCENT_COLORS[settings.accent] ? settings.accent : defaults.accent
+    };
+}
+
+/**
+ * Persist the theme and accent
+ */
+function saveThemeSettings() {
+    localStorage.setItem(CONFIG.storage.theme, JSON.stringify({
+        theme: themeState.preference,
+        accent: themeState.accent
+    }));
+}
+
+/**
+ * Theme shown for a preference
+ */
+function resolveTheme(preference = themeState.preference) {
+    if (preference !== 'system') return preference;
     
-    // Initial update
-    updateActiveNavLink();
+    if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
 }
 
 /**
- * Toggle mobile menu
+ * Apply the resolved theme and accent to the document
  */
-function toggleMobileMenu(show) {
-    const menuToggle = document.getElementById('menuToggle');
-    const navMenu = document.getElementById('navMenu');
+function applyTheme() {
+    const theme = resolveTheme();
+    const accent = ACCENT_COLORS[themeState.accent].color;
     
-    if (!menuToggle || !navMenu) return;
+    document.documentElement.setAttribute('data-theme', theme);
     
-    if (show) {
-        navMenu.classList.add('active');
-        menuToggle.setAttribute('aria-expanded', 'true');
-        menuToggle.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M6 18L18 6M6 6l12 12"/></svg>';
-        
-        // Focus first interactive element in menu
-        setTimeout(() => {
-            const firstFocusable = navMenu.querySelector('a, button');
-            if (firstFocusable) firstFocusable.focus();
-        }, 100);
+    if (accent && theme !== 'high-contrast') {
+        setCSSVariable('--primary-color', accent);
+        setCSSVariable('--primary-dark', `color-mix(in srgb, ${accent} 75%, black)`);
     } else {
-        navMenu.classList.remove('active');
-        menuToggle.setAttribute('aria-expanded', 'false');
-        menuToggle.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 12h18M3 6h18M3 18h18"/></svg>';
+        ['--primary-color', '--primary-dark'].forEach(removeCSSVariable);
     }
+    
+    updateThemePicker();
 }
 
 /**
- * Update active navigation link based on scroll position
+ * Set theme ("system" follows the operating system)
  */
-function updateActiveNavLink() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav-link');
-    const scrollPosition = window.scrollY + 100;
+function setTheme(theme) {
+    // Validate theme
+    if (theme !== 'system' && !THEMES[theme]) {
+        console.error('Invalid theme:', theme);
+        return;
+    }
     
-    let currentSectionId = '';
+    themeState.preference = theme;
+    applyTheme();
     
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
-        
-        if (scrollPosition >= sectionTop && scrollPosition < sectionTop + sectionHeight) {
-            currentSectionId = section.id;
-        }
-    });
+    // Save preference
+    saveThemeSettings();
     
-    navLinks.forEach(link => {
-        link.classList.remove('active');
-        if (link.getAttribute('href') === `#${currentSectionId}`) {
-            link.classList.add('active');
-        }
-    });
+    // Announce theme change for screen readers
+    announceToScreenReader(theme === 'system'
+        ? t('theme.changedSystem', { theme: t(THEMES[resolveTheme()].label) })
+        : t('theme.changed', { theme: t(THEMES[theme].label) }));
 }
 
 /**
- * Trap focus within an element
+ * Set the accent color
  */
-function trapFocus(element, event) {
-    const focusableElements = element.querySelectorAll(
-        'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
-    );
-    const firstElement = focusableElements[0];
-    const lastElement = focusableElements[focusableElements.length - 1];
-    
-    if (event.shiftKey) {
-        if (document.activeElement === firstElement) {
-            event.preventDefault();
-            lastElement.focus();
-        }
-    } else {
-        if (document.activeElement === lastElement) {
-            event.preventDefault();
-            firstElement.focus();
-        }
+function setAccentColor(accent) {
+    if (!ACCENT_COLORS[accent]) {
+        console.error('Invalid accent color:', accent);
+        return;
     }
+    
+    themeState.accent = accent;
+    applyTheme();
+    saveThemeSettings();
+    
+    announceToScreenReader(t('accent.changed', { accent: t(ACCENT_COLORS[accent].label) }));
 }
 
-// ============================================
-// SMOOTH SCROLLING
-// ============================================
-
 /**
- * Initialize smooth scrolling
+ * Toggle between light and dark themes
  */
-function initSmoothScroll() {
-    // Smooth scroll for anchor links
-    document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-        anchor.addEventListener('click', function(e) {
-            const href = this.getAttribute('href');
-            
-            // Skip empty or invalid hrefs
-            if (href === '#' || href === '#!' || href === '') return;
-            
-            const target = document.querySelector(href);
-            
-            if (target) {
-                e.preventDefault();
-                smoothScrollTo(target);
-                
-                // Update URL
-                history.pushState(null, null, href);
-            }
-        });
-    });
-    
-    // Handle back/forward navigation
-    window.addEventListener('popstate', () => {
-        const hash = window.location.hash;
-        if (hash) {
-            const target = document.querySelector(hash);
-            if (target) {
-                smoothScrollTo(target);
-            }
-        }
-    });
+function toggleTheme() {
+    setTheme(resolveTheme() === 'dark' ? 'light' : 'dark');
 }
 
 /**
- * Smooth scroll to element
+ * Create the theme picker (menu button with theme and accent options)
  */
-function smoothScrollTo(target) {
-    // Check if user prefers reduced motion
-    if (prefersReducedMotion()) {
-        target.scrollIntoView();
+function createThemePicker() {
+    // Check if picker already exists
+    if (document.querySelector('.theme-picker')) {
         return;
     }
     
-    const headerHeight = document.querySelector('header').offsetHeight;
-    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
-    const startPosition = window.pageYOffset;
-    const distance = targetPosition - startPosition;
-    const duration = Math.min(1000, Math.abs(distance) * 1.5);
-    let startTime = null;
+    const button = createElement('button', {
+        type: 'button',
+        className: 'theme-toggle btn btn-ghost btn-icon',
+        id: 'themeButton',
+        'aria-haspopup': 'menu',
+        'aria-expanded': 'false',
+        'aria-controls': 'themeMenu',
+        dataset: { i18nAriaLabel: 'theme.button' }
+    }, createIcon('theme'));
     
-    function animation(currentTime) {
-        if (startTime === null) startTime = currentTime;
-        const timeElapsed = currentTime - startTime;
-        const progress = Math.min(timeElapsed / duration, 1);
-        
-        // Easing function (easeOutCubic)
-        const ease = 1 - Math.pow(1 - progress, 3);
-        
-        window.scrollTo(0, startPosition + (distance * ease));
-        
-        if (timeElapsed < duration) {
-            requestAnimationFrame(animation);
-        } else {
-            // Focus the target for accessibility
-            target.setAttribute('tabindex', '-1');
-            target.focus();
-            target.removeAttribute('tabindex');
+    const createOption = (group, value, label, swatch) => createElement('button', {
+        type: 'button',
+        className: 'theme-menu-item',
+        role: 'menuitemradio',
+        'aria-checked': 'false',
+        tabindex: '-1',
+        dataset: { group, value },
+        onClick: () => {
+            if (group === 'theme') {
+                setTheme(value);
+            } else {
+                setAccentColor(value);
+            }
         }
-    }
+    }, [swatch || null, createElement('span', { dataset: { i18n: label } })]);
     
-    requestAnimationFrame(animation);
+    const createSwatch = (color) => {
+        const swatch = createElement('span', { className: 'theme-swatch', 'aria-hidden': 'true' });
+        if (color) {
+            swatch.style.setProperty('--swatch-color', color);
+        }
+        return swatch;
+    };
+    
+    const menu = createElement('div', {
+        className: 'theme-menu',
+        id: 'themeMenu',
+        role: 'menu',
+        'aria-labelledby': 'themeButton',
+        hidden: true
+    }, [
+        createElement('div', { role: 'group', 'aria-labelledby': 'themeMenuThemes' }, [
+            createElement('p', { className: 'theme-menu-label', id: 'themeMenuThemes', dataset: { i18n: 'theme.heading' } }),
+            createOption('theme', 'system', 'theme.system'),
+            ...Object.entries(THEMES).map(([value, theme]) => createOption('theme', value, theme.label))
+        ]),
+        createElement('div', { role: 'group', 'aria-labelledby': 'themeMenuAccents' }, [
+            createElement('p', { className: 'theme-menu-label', id: 'themeMenuAccents', dataset: { i18n: 'accent.heading' } }),
+            ...Object.entries(ACCENT_COLORS).map(([value, accent]) => (
+                createOption('accent', value, accent.label, createSwatch(accent.color))
+            ))
+        ])
+    ]);
+    
+    const picker = translateElements(createElement('div', { className: 'theme-picker' }, [button, menu]));
+    
+    button.addEventListener('click', () => toggleThemeMenu(menu.hidden));
+    button.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            toggleThemeMenu(true, e.key === 'ArrowUp' ? 'last' : 'checked');
+        }
+    });
+    menu.addEventListener('keydown', handleThemeMenuKeydown);
+    
+    // Close when focus or clicks move elsewhere
+    document.addEventListener('click', (e) => {
+        if (!picker.contains(e.target)) toggleThemeMenu(false, null);
+    });
+    picker.addEventListener('focusout', (e) => {
+        if (e.relatedTarget && !picker.contains(e.relatedTarget)) toggleThemeMenu(false, null);
+    });
+    
+    // Add to navigation
+    const navActions = document.querySelector('.nav-actions') || createNavActions();
+    navActions.prepend(picker);
+    
+    // Update initial state
+    updateThemePicker();
 }
 
-// ============================================
-// FORM HANDLING
-// ============================================
-
 /**
- * Initialize forms
+ * Open or close the theme menu
+ * @param {boolean} open
+ * @param {'checked'|'first'|'last'|null} focus - Item to focus when opening; null leaves focus alone
  */
-function initForms() {
-    // Newsletter form
-    const newsletterForm = document.getElementById('newsletterForm');
-    if (newsletterForm) {
-        newsletterForm.addEventListener('submit', handleNewsletterSubmit);
-        
-        // Check if user is already subscribed
-        const isSubscribed = localStorage.getItem(CONFIG.storage.newsletterSubscribed);
-        if (isSubscribed) {
-            updateNewsletterFormState(true);
-        }
-    }
+function toggleThemeMenu(open, focus = 'checked') {
+    const button = document.getElementById('themeButton');
+    const menu = document.getElementById('themeMenu');
+    if (!button || !menu || menu.hidden === !open) return;
     
-    // Contact form
-    const contactForm = document.getElementById('contactForm');
-    if (contactForm) {
-        contactForm.addEventListener('submit', handleContactSubmit);
-    }
+    menu.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
     
-    // Search form
-    const searchForm = document.querySelector('.search-form');
-    if (searchForm) {
-        searchForm.addEventListener('submit', handleSearchSubmit);
+    const items = [...menu.querySelectorAll('[role="menuitemradio"]')];
+    
+    if (open) {
+        const target = {
+            checked: items.find(item => item.getAttribute('aria-checked') === 'true'),
+            first: items[0],
+            last: items[items.length - 1]
+        }[focus] || items[0];
+        target.focus();
+    } else if (focus !== null) {
+        button.focus();
     }
 }
 
 /**
- * Handle newsletter form submission
+ * Arrow keys move between items, Escape closes the menu
  */
-async function handleNewsletterSubmit(e) {
-    e.preventDefault();
-    
-    const form = e.target;
-    const emailInput = form.querySelector('input[type="email"]');
-    const submitBtn = form.querySelector('button[type="submit"]');
-    const email = emailInput.value.trim();
-    
-    // Validation
-    if (!isValidEmail(email)) {
-        showToast('Please enter a valid email address', 'error');
-        emailInput.focus();
-        return;
-    }
+function handleThemeMenuKeydown(e) {
+    const items = [...e.currentTarget.querySelectorAll('[role="menuitemradio"]')];
+    const index = items.indexOf(document.activeElement);
     
-    // Show loading state
-    setButtonLoading(submitBtn, true);
+    const moves = {
+        ArrowDown: (index + 1) % items.length,
+        ArrowUp: (index - 1 + items.length) % items.length,
+        Home: 0,
+        End: items.length - 1
+    };
     
-    try {
-        // In a real application, you would send this to your API
-        // For demo purposes, we'll simulate an API call
-        await simulateAPICall(CONFIG.api.newsletter, {
-            email: email,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Show success message
-        showToast('Successfully subscribed to newsletter!', 'success');
-        
-        // Save subscription state
-        localStorage.setItem(CONFIG.storage.newsletterSubscribed, 'true');
-        
-        // Update form state
-        updateNewsletterFormState(true);
-        
-        // Reset form
-        form.reset();
-        
-        // Track subscription in analytics
-        trackEvent('newsletter_subscription', { email: email });
-        
-    } catch (error) {
-        console.error('Newsletter subscription failed:', error);
-        showToast('Subscription failed. Please try again.', 'error');
-    } finally {
-        setButtonLoading(submitBtn, false);
+    if (e.key in moves) {
+        e.preventDefault();
+        items[moves[e.key]].focus();
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        toggleThemeMenu(false);
+    } else if (e.key === 'Tab') {
+        toggleThemeMenu(false, null);
     }
 }
 
 /**
- * Handle contact form submission
+ * Update theme picker state
  */
-async function handleContactSubmit(e) {
-    e.preventDefault();
+function updateThemePicker() {
+    const menu = document.getElementById('themeMenu');
+    if (!menu) return;
     
-    const form = e.target;
-    const formData = {
-        name: form.querySelector('#contactName').value.trim(),
-        email: form.querySelector('#contactEmail').value.trim(),
-        subject: form.querySelector('#contactSubject').value.trim(),
-        message: form.querySelector('#contactMessage').value.trim()
-    };
+    const selected = { theme: themeState.preference, accent: themeState.accent };
     
-    const submitBtn = form.querySelector('button[type="submit"]');
+    menu.querySelectorAll('[role="menuitemradio"]').forEach(item => {
+        item.setAttribute('aria-checked', String(selected[item.dataset.group] === item.dataset.value));
+    });
     
-    // Validation
-    if (!formData.name || !formData.email || !formData.subject || !formData.message) {
-        showToast('Please fill in all required fields', 'error');
-        return;
+    // The high-contrast palette keeps its own accent
+    const highContrast = resolveTheme() === 'high-contrast';
+    menu.querySelectorAll('[data-group="accent"]').forEach(item => {
+        item.setAttribute('aria-disabled', String(highContrast));
+    });
+}
+
+/**
+ * Create nav actions container if it doesn't exist
+ */
+function createNavActions() {
+    const navContainer = document.querySelector('.nav-container');
+    const navActionsDiv = document.createElement('div');
+    navActionsDiv.className = 'nav-actions';
+    navContainer.appendChild(navActionsDiv);
+    return navActionsDiv;
+}
+
+// ============================================
+// READER PREFERENCES
+// ============================================
+
+// Typography controls, each applied through a CSS variable on <html>; the variables
+// come from boot.js, which restores them before the first paint. Labels are i18n keys
+const READER_PREFERENCES = {
+    fontScale: {
+        label: 'reader.fontScale',
+        ...window.DevHubXBoot.readerVariables.fontScale,
+        min: 0.875,
+        max: 1.5,
+        step: 0.125,
+        default: 1,
+        format: value => formatPercent(value)
+    },
+    lineHeight: {
+        label: 'reader.lineHeight',
+        ...window.DevHubXBoot.readerVariables.lineHeight,
+        min: 1.4,
+        max: 2.2,
+        step: 0.05,
+        default: 1.75,
+        format: value => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    },
+    measure: {
+        label: 'reader.measure',
+        ...window.DevHubXBoot.readerVariables.measure,
+        min: 50,
+        max: 90,
+        step: 5,
+        default: 72,
+        format: value => t('reader.characters', { count: value })
     }
+};
+
+// Loaded the first time the dyslexia-friendly font is turned on
+const DYSLEXIA_FONT_URL = 'https://fonts.googleapis.com/css2?family=Lexend:wght@400;500;600;700&display=swap';
+
+const readerState = {
+    fontScale: READER_PREFERENCES.fontScale.default,
+    lineHeight: READER_PREFERENCES.lineHeight.default,
+    measure: READER_PREFERENCES.measure.default,
+    dyslexiaFont: false
+};
+
+/**
+ * Initialize reader preferences
+ */
+function initReaderPreferences() {
+    Object.assign(readerState, loadReaderPreferences());
+    applyReaderPreferences();
+    createReaderPanel();
     
-    if (!isValidEmail(formData.email)) {
-        showToast('Please enter a valid email address', 'error');
-        return;
+    // Slider values are formatted for the current locale
+    document.addEventListener('locale:change', updateReaderPanel);
+}
+
+/**
+ * Read the saved preferences, dropping values outside the allowed ranges
+ */
+function loadReaderPreferences() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(CONFIG.storage.readerPreferences));
+    } catch (error) {
+        saved = null;
     }
     
-    // Show loading state
-    setButtonLoading(submitBtn, true);
+    if (!saved || typeof saved !== 'object') return {};
     
-    try {
-        // In a real application, you would send this to your API
-        await simulateAPICall(CONFIG.api.contact, formData);
-        
-        // Show success message
-        showToast('Message sent successfully! We\'ll get back to you soon.', 'success');
-        
-        // Reset form
-        form.reset();
-        
-        // Track contact form submission
-        trackEvent('contact_form_submission', formData);
-        
-    } catch (error) {
-        console.error('Contact form submission failed:', error);
-        showToast('Failed to send message. Please try again.', 'error');
-    } finally {
-        setButtonLoading(submitBtn, false);
+    const preferences = {};
+    
+    Object.entries(READER_PREFERENCES).forEach(([key, option]) => {
+        const value = saved[key];
+        if (typeof value === 'number' && value >= option.min && value <= option.max) {
+            preferences[key] = value;
+        }
+    });
+    
+    if (typeof saved.dyslexiaFont === 'boolean') {
+        preferences.dyslexiaFont = saved.dyslexiaFont;
     }
+    
+    return preferences;
 }
 
 /**
- * Handle search form submission
+ * Persist the preferences that differ from the defaults
  */
-function handleSearchSubmit(e) {
-    e.preventDefault();
+function saveReaderPreferences() {
+    const changed = {};
     
-    const form = e.target;
-    const searchInput = form.querySelector('input[type="search"]');
-    const query = searchInput.value.trim();
+    Object.entries(READER_PREFERENCES).forEach(([key, option]) => {
+        if (readerState[key] !== option.default) {
+            changed[key] = readerState[key];
+        }
+    });
     
-    if (!query) {
-        showToast('Please enter a search term', 'error');
-        searchInput.focus();
-        return;
+    if (readerState.dyslexiaFont) {
+        changed.dyslexiaFont = true;
     }
     
-    // In a real application, you would perform the search
-    // For demo purposes, we'll just show a toast
-    showToast(`Searching for: ${query}`, 'info');
-    
-    // Track search
-    trackEvent('search', { query: query });
-    
-    // Clear input
-    searchInput.value = '';
+    if (Object.keys(changed).length) {
+        localStorage.setItem(CONFIG.storage.readerPreferences, JSON.stringify(changed));
+    } else {
+        localStorage.removeItem(CONFIG.storage.readerPreferences);
+    }
 }
 
 /**
- * Update newsletter form state
+ * Apply the preferences as CSS variables (defaults leave the stylesheet values in place)
  */
-function updateNewsletterFormState(isSubscribed) {
-    const form = document.getElementById('newsletterForm');
-    if (!form) return;
-    
-    const emailInput = form.querySelector('input[type="email"]');
-    const submitBtn = form.querySelector('button[type="submit"]');
+function applyReaderPreferences() {
+    Object.entries(READER_PREFERENCES).forEach(([key, option]) => {
+        if (readerState[key] === option.default) {
+            removeCSSVariable(option.variable);
+        } else {
+            setCSSVariable(option.variable, `${readerState[key]}${option.unit}`);
+        }
+    });
     
-    if (isSubscribed) {
-        emailInput.value = '';
-        emailInput.placeholder = 'You are already subscribed!';
-        emailInput.disabled = true;
-        submitBtn.textContent = 'Subscribed ✓';
-        submitBtn.disabled = true;
-        submitBtn.classList.remove('btn-primary');
-        submitBtn.classList.add('btn-outline', 'success');
+    if (readerState.dyslexiaFont) {
+        loadDyslexiaFont();
+        document.documentElement.setAttribute('data-reader-font', 'dyslexic');
+    } else {
+        document.documentElement.removeAttribute('data-reader-font');
     }
+    
+    updateReaderPanel();
 }
 
 /**
- * Validate email format
+ * Add the dyslexia-friendly font stylesheet once
  */
-function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+function loadDyslexiaFont() {
+    if (document.getElementById('dyslexiaFont')) return;
+    
+    document.head.appendChild(createElement('link', {
+        rel: 'stylesheet',
+        id: 'dyslexiaFont',
+        href: DYSLEXIA_FONT_URL
+    }));
 }
 
 /**
- * Set button loading state
+ * Change one preference
+ * @param {'fontScale'|'lineHeight'|'measure'|'dyslexiaFont'} key
+ * @param {number|boolean} value
  */
-function setButtonLoading(button, isLoading) {
-    if (isLoading) {
-        button.classList.add('btn-loading');
-        button.disabled = true;
-        button.setAttribute('aria-busy', 'true');
+function setReaderPreference(key, value) {
+    const option = READER_PREFERENCES[key];
+    
+    if (key === 'dyslexiaFont') {
+        readerState.dyslexiaFont = Boolean(value);
+    } else if (option && typeof value === 'number' && !Number.isNaN(value)) {
+        // Snap to the slider steps so saved values stay comparable with the defaults
+        const steps = Math.round((value - option.min) / option.step);
+        const snapped = option.min + steps * option.step;
+        readerState[key] = Number(Math.min(option.max, Math.max(option.min, snapped)).toFixed(3));
     } else {
-        button.classList.remove('btn-loading');
-        button.disabled = false;
-        button.removeAttribute('aria-busy');
+        console.error('Invalid reader preference:', key, value);
+        return;
     }
+    
+    applyReaderPreferences();
+    saveReaderPreferences();
 }
 
+/**
+ * Restore every preference to its default
+ */
+function resetReaderPreferences() {
+    Object.entries(READER_PREFERENCES).forEach(([key, option]) => {
+        readerState[key] = option.default;
+    });
+    readerState.dyslexiaFont = false;
+    
+    applyReaderPreferences();
+    saveReaderPreferences();
+    
+    announceToScreenReader(t('reader.resetDone'));
+}
+
+/**
+ * Create the reader preferences button and panel next to the theme picker
+ */
+function createReaderPanel() {
+    if (document.querySelector('.reader-preferences')) {
+        return;
+    }
+    
+    const button = createElement('button', {
+        type: 'button',
+        className: 'reader-toggle btn btn-ghost btn-icon',
+        id: 'readerButton',
+        'aria-expanded': 'false',
+        'aria-controls': 'readerPanel',
+        dataset: { i18nAriaLabel: 'reader.title' }
+    }, createIcon('text'));
+    
+    const sliders = Object.entries(READER_PREFERENCES).map(([key, option]) => {
+        const id = `reader-${key}`;
+        const input = createElement('input', {
+            type: 'range',
+            id,
+            name: key,
+            min: option.min,
+            max: option.max,
+            step: option.step,
+            onInput: (e) => setReaderPreference(key, parseFloat(e.target.value))
+        });
+        
+        return createElement('div', { className: 'reader-field' }, [
+            createElement('label', { for: id, dataset: { i18n: option.label } }),
+            createElement('output', { for: id, className: 'reader-value', dataset: { preference: key } }),
+            input
+        ]);
+    });
+    
+    const panel = createElement('div', {
+        className: 'reader-panel',
+        id: 'readerPanel',
+        role: 'dialog',
+        'aria-labelledby': 'readerPanelTitle',
+        hidden: true
+    }, [
+        createElement('p', { className: 'theme-menu-label', id: 'readerPanelTitle', dataset: { i18n: 'reader.title' } }),
+        ...sliders,
+        createElement('label', { className: 'reader-field reader-checkbox' }, [
+            createElement('input', {
+                type: 'checkbox',
+                name: 'dyslexiaFont',
+                onChange: (e) => setReaderPreference('dyslexiaFont', e.target.checked)
+            }),
+            createElement('span', { dataset: { i18n: 'reader.dyslexiaFont' } })
+        ]),
+        createElement('button', {
+            type: 'button',
+            className: 'btn btn-ghost btn-small reader-reset',
+            dataset: { i18n: 'reader.reset' },
+            onClick: resetReaderPreferences
+        })
+    ]);
+    
+    const container = translateElements(createElement('div', { className: 'reader-preferences' }, [button, panel]));
+    
+    button.addEventListener('click', () => toggleReaderPanel(panel.hidden));
+    panel.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            toggleReaderPanel(false);
+        }
+    });
+    
+    // Close when focus or clicks move elsewhere
+    document.addEventListener('click', (e) => {
+        if (!container.contains(e.target)) toggleReaderPanel(false, false);
+    });
+    container.addEventListener('focusout', (e) => {
+        if (e.relatedTarget && !container.contains(e.relatedTarget)) toggleReaderPanel(false, false);
+    });
+    
+    // Sits right after the theme picker
+    const themePicker = document.querySelector('.theme-picker');
+    if (themePicker) {
+        themePicker.after(container);
+    } else {
+        (document.querySelector('.nav-actions') || createNavActions()).prepend(container);
+    }
+    
+    updateReaderPanel();
+}
+
+/**
+ * Open or close the reader preferences panel
+ * @param {boolean} open
+ * @param {boolean} restoreFocus - Return focus to the button when closing
+ */
+function toggleReaderPanel(open, restoreFocus = true) {
+    const button = document.getElementById('readerButton');
+    const panel = document.getElementById('readerPanel');
+    if (!button || !panel || panel.hidden === !open) return;
+    
+    panel.hidden = !open;
+    button.setAttribute('aria-expanded', String(open));
+    
+    if (open) {
+        panel.querySelector('input').focus();
+    } else if (restoreFocus) {
+        button.focus();
+    }
+}
+
+/**
+ * Sync the panel controls with the current preferences
+ */
+function updateReaderPanel() {
+    const panel = document.getElementById('readerPanel');
+    if (!panel) return;
+    
+    Object.entries(READER_PREFERENCES).forEach(([key, option]) => {
+        const input = panel.querySelector(`input[name="${key}"]`);
+        const output = panel.querySelector(`output[data-preference="${key}"]`);
+        const text = option.format(readerState[key]);
+        
+        input.value = readerState[key];
+        input.setAttribute('aria-valuetext', text);
+        output.textContent = text;
+    });
+    
+    panel.querySelector('input[name="dyslexiaFont"]').checked = readerState.dyslexiaFont;
+}
+
+// ============================================
+// NAVIGATION
 // ============================================
-// TOAST NOTIFICATIONS
-// ============================================
+
+// Scroll-spy over the home page sections
+const navigationState = {
+    spy: null
+};
 
 /**
- * Show toast notification
+ * Initialize navigation
  */
-function showToast(message, type = 'info') {
-    // Remove existing toasts
-    removeExistingToasts();
-    
-    // Create toast element
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.setAttribute('role', 'alert');
-    toast.setAttribute('aria-live', 'assertive');
-    toast.innerHTML = `
-        <div class="toast-content">
-            <span class="toast-message">${message}</span>
-            <button class="toast-close" aria-label="Close notification">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M18 6L6 18M6 6l12 12"/>
-                </svg>
-            </button>
-        </div>
-    `;
-    
-    // Add to document
-    document.body.appendChild(toast);
+function initNavigation() {
+    const menuToggle = document.getElementById('menuToggle');
+    const navMenu = document.getElementById('navMenu');
+    const navLinks = document.querySelectorAll('.nav-link');
     
-    // Trigger animation
-    setTimeout(() => {
-        toast.classList.add('show');
-    }, 10);
+    if (!menuToggle || !navMenu) return;
+    
+    // Toggle mobile menu
+    menuToggle.addEventListener('click', () => {
+        const isExpanded = menuToggle.getAttribute('aria-expanded') === 'true';
+        toggleMobileMenu(!isExpanded);
+    });
     
-    // Add close button event
-    const closeBtn = toast.querySelector('.toast-close');
-    closeBtn.addEventListener('click', () => {
-        hideToast(toast);
+    // Close menu when clicking on nav links
+    navLinks.forEach(link => {
+        link.addEventListener('click', () => {
+            if (window.innerWidth <= 768) {
+                toggleMobileMenu(false);
+            }
+        });
     });
     
-    // Auto-hide after duration
-    setTimeout(() => {
-        if (toast.parentNode) {
-            hideToast(toast);
+    // Close menu when clicking outside
+    document.addEventListener('click', (event) => {
+        if (!navMenu.contains(event.target) && !menuToggle.contains(event.target)) {
+            toggleMobileMenu(false);
+        }
+    });
+    
+    // Handle keyboard navigation
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && navMenu.classList.contains('active')) {
+            toggleMobileMenu(false);
+            menuToggle.focus();
+        }
+        
+        // Trap focus in mobile menu
+        if (event.key === 'Tab' && navMenu.classList.contains('active')) {
+            trapFocus(navMenu, event);
+        }
+    });
+    
+    // Track the section being read while the home page is shown
+    document.addEventListener('route:change', updateActiveNavLink);
+    updateActiveNavLink();
+}
+
+/**
+ * Toggle mobile menu
+ */
+function toggleMobileMenu(show) {
+    const menuToggle = document.getElementById('menuToggle');
+    const navMenu = document.getElementById('navMenu');
+    
+    if (!menuToggle || !navMenu) return;
+    
+    if (show) {
+        navMenu.classList.add('active');
+        menuToggle.setAttribute('aria-expanded', 'true');
+        menuToggle.replaceChildren(createIcon('close', 24));
+        
+        // Focus first interactive element in menu
+        setTimeout(() => {
+            const firstFocusable = navMenu.querySelector('a, button');
+            if (firstFocusable) firstFocusable.focus();
+        }, 100);
+    } else {
+        navMenu.classList.remove('active');
+        menuToggle.setAttribute('aria-expanded', 'false');
+        menuToggle.replaceChildren(createIcon('menu', 24));
+    }
+}
+
+/**
+ * Highlight the home page section being read
+ * The spy is recreated whenever the home page is shown again: sections hidden by an
+ * article view come back without IntersectionObserver reporting them
+ */
+function updateActiveNavLink() {
+    if (navigationState.spy) {
+        navigationState.spy.disconnect();
+        navigationState.spy = null;
+    }
+    
+    // Article views highlight their section when they are rendered
+    if (routerState.view !== 'home') return;
+    
+    const sections = [...document.querySelectorAll('#main-content > section[id]')];
+    navigationState.spy = createScrollSpy(sections, section => {
+        setActiveNavLink(section ? section.id : '');
+    });
+}
+
+/**
+ * Highlight the navigation link of a section
+ */
+function setActiveNavLink(sectionId) {
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.classList.toggle('active', link.getAttribute('href') === `#${sectionId}`);
+    });
+}
+
+/**
+ * Trap focus within an element
+ */
+function trapFocus(element, event) {
+    const focusableElements = element.querySelectorAll(
+        'a[href], button, input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    );
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+    
+    if (event.shiftKey) {
+        if (document.activeElement === firstElement) {
+            event.preventDefault();
+            lastElement.focus();
+        }
+    } else {
+        if (document.activeElement === lastElement) {
+            event.preventDefault();
+            firstElement.focus();
+        }
+    }
+}
+
+// ============================================
+// SMOOTH SCROLLING
+// ============================================
+
+/**
+ * Initialize smooth scrolling
+ */
+function initSmoothScroll() {
+    // Delegated so links in rendered cards and article views are handled too
+    document.addEventListener('click', (e) => {
+        const anchor = e.target.closest('a[href^="#"]');
+        
+        // Leave modified clicks and links other handlers took care of to the browser
+        if (!anchor || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
+        const href = anchor.getAttribute('href');
+        
+        // Skip empty or invalid hrefs
+        if (href === '#' || href === '#!' || href === '') return;
+        
+        e.preventDefault();
+        
+        // Update URL
+        if (href !== window.location.hash) {
+            history.pushState(null, null, href);
+        }
+        
+        handleRoute();
+    });
+    
+    // Handle back/forward navigation (and hashes typed into the address bar)
+    window.addEventListener('popstate', () => {
+        handleRoute();
+    });
+}
+
+/**
+ * Smooth scroll to element
+ */
+function smoothScrollTo(target) {
+    // Check if user prefers reduced motion
+    if (prefersReducedMotion()) {
+        target.scrollIntoView();
+        return;
+    }
+    
+    const headerHeight = document.querySelector('header').offsetHeight;
+    const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
+    const startPosition = window.pageYOffset;
+    const distance = targetPosition - startPosition;
+    const duration = Math.min(1000, Math.abs(distance) * 1.5);
+    let startTime = null;
+    
+    function animation(currentTime) {
+        if (startTime === null) startTime = currentTime;
+        const timeElapsed = currentTime - startTime;
+        const progress = Math.min(timeElapsed / duration, 1);
+        
+        // Easing function (easeOutCubic)
+        const ease = 1 - Math.pow(1 - progress, 3);
+        
+        window.scrollTo(0, startPosition + (distance * ease));
+        
+        if (timeElapsed < duration) {
+            requestAnimationFrame(animation);
+        } else {
+            // Focus the target for accessibility
+            target.setAttribute('tabindex', '-1');
+            target.focus();
+            target.removeAttribute('tabindex');
         }
-    }, CONFIG.toast.duration);
+    }
+    
+    requestAnimationFrame(animation);
+}
+
+// ============================================
+// FORM HANDLING
+// ============================================
+
+/**
+ * Initialize forms
+ */
+function initForms() {
+    // Inline validation and spam checks for the newsletter and contact forms
+    initFormValidation();
+    initSpamProtection();
+    
+    // Newsletter form
+    const newsletterForm = document.getElementById('newsletterForm');
+    if (newsletterForm) {
+        newsletterForm.addEventListener('submit', handleNewsletterSubmit);
+        initNewsletter();
+    }
+    
+    // Contact form
+    const contactForm = document.getElementById('contactForm');
+    if (contactForm) {
+        contactForm.addEventListener('submit', handleContactSubmit);
+        initContactDraft(contactForm);
+    }
     
-    return toast;
+    // Search form
+    const searchForm = document.querySelector('.search-form');
+    if (searchForm) {
+        searchForm.addEventListener('submit', handleSearchSubmit);
+        initSearch(searchForm);
+    }
 }
 
-/**
- * Hide toast notification
- */
-function hideToast(toast) {
-    toast.classList.remove('show');
-    setTimeout(() => {
-        if (toast.parentNode) {
-            toast.parentNode.removeChild(toast);
+// API payload fields mapped to their input ids
+const NEWSLETTER_FIELDS = {
+    email: 'newsletterEmail'
+};
+
+const CONTACT_FIELDS = {
+    name: 'contactName',
+    email: 'contactEmail',
+    subject: 'contactSubject',
+    message: 'contactMessage'
+};
+
+/**
+ * Handle newsletter form submission
+ */
+async function handleNewsletterSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const emailInput = form.querySelector('input[type="email"]');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const email = emailInput.value.trim();
+    
+    if (!validateForm(form)) return;
+    
+    const rejection = checkSubmission(form, 'newsletter');
+    if (rejection) {
+        rejectSubmission('newsletter', rejection);
+        return;
+    }
+    
+    // Show loading state
+    setButtonLoading(submitBtn, true);
+    
+    try {
+        const proofOfWork = await takeProofOfWork(form, 'newsletter');
+        
+        const result = await submitOrQueue('newsletter', CONFIG.api.newsletter, {
+            email: email,
+            timestamp: new Date().toISOString(),
+            proofOfWork
+        });
+        recordSubmission('newsletter');
+        
+        // Reset form
+        form.reset();
+        
+        if (result.queued) {
+            showToast(t('newsletter.queued'), 'info');
+            return;
+        }
+        
+        // Nothing is sent until the address is confirmed from the email
+        markNewsletterPending(email);
+        
+    } catch (error) {
+        console.error('Newsletter subscription failed:', error);
+        
+        if (isSpamRejection(error)) {
+            rejectSubmission('newsletter', 'rejected');
+        } else {
+            showRequestError(form, error, NEWSLETTER_FIELDS, t('newsletter.failed'));
+        }
+    } finally {
+        setButtonLoading(submitBtn, false);
+    }
+}
+
+/**
+ * Handle contact form submission
+ */
+async function handleContactSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const formData = {
+        name: form.querySelector('#contactName').value.trim(),
+        email: form.querySelector('#contactEmail').value.trim(),
+        subject: form.querySelector('#contactSubject').value.trim(),
+        message: form.querySelector('#contactMessage').value.trim()
+    };
+    
+    const submitBtn = form.querySelector('button[type="submit"]');
+    
+    if (!validateForm(form)) return;
+    
+    const rejection = checkSubmission(form, 'contact');
+    if (rejection) {
+        rejectSubmission('contact', rejection);
+        return;
+    }
+    
+    // Keep what is about to be sent in case sending fails
+    saveContactDraft(form);
+    
+    // Show loading state
+    setButtonLoading(submitBtn, true);
+    
+    try {
+        formData.proofOfWork = await takeProofOfWork(form, 'contact');
+        
+        const result = await submitOrQueue('contact', CONFIG.api.contact, formData);
+        recordSubmission('contact');
+        
+        if (result.queued) {
+            showToast(t('contact.queued'), 'info');
+            form.reset();
+            setContactDraftQueued(true);
+            return;
+        }
+        
+        // Show success message
+        showToast(t('contact.success'), 'success');
+        
+        // Reset form
+        form.reset();
+        clearContactDraft();
+        
+        // Track contact form submission
+        trackEvent('contact_form_submission', { form: 'contact' });
+        
+    } catch (error) {
+        console.error('Contact form submission failed:', error);
+        
+        if (isSpamRejection(error)) {
+            rejectSubmission('contact', 'rejected');
+        } else {
+            showRequestError(form, error, CONTACT_FIELDS, t('contact.failed'));
+        }
+    } finally {
+        setButtonLoading(submitBtn, false);
+    }
+}
+
+/**
+ * Handle search form submission
+ */
+function handleSearchSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const searchInput = form.querySelector('input[type="search"]');
+    const query = searchInput.value.trim();
+    
+    if (!query) {
+        showToast(t('search.empty'), 'error');
+        searchInput.focus();
+        return;
+    }
+    
+    const results = performSearch(query);
+
+    // Track search
+    trackEvent('search', { query: query, results: results.length });
+
+    // Move focus to the results so keyboard users land on them
+    const resultsContainer = document.getElementById('searchResults');
+    if (resultsContainer && results.length) {
+        resultsContainer.setAttribute('tabindex', '-1');
+        resultsContainer.focus();
+    }
+}
+
+/**
+ * Show the result of a failed request on a form
+ * Field errors from the API are attached to their inputs, anything else becomes a toast
+ */
+function showRequestError(form, error, fieldMap, fallbackMessage) {
+    const fieldErrors = error instanceof ApiError ? error.fieldErrors : {};
+    const fields = Object.keys(fieldErrors).filter(field => fieldMap[field]);
+
+    if (!fields.length) {
+        // Server trouble may pass; a rejected request would fail the same way again
+        const canRetry = !(error instanceof ApiError) || error.retryable;
+        const toast = showToast(fallbackMessage, 'error', {
+            actions: canRetry ? [{ id: 'retry', label: t('toast.retry') }] : []
+        });
+        
+        toast.result.then(action => {
+            if (action === 'retry' && form.isConnected) form.requestSubmit();
+        });
+        return;
+    }
+
+    fields.forEach(field => {
+        setFieldError(form.querySelector(`#${fieldMap[field]}`), fieldErrors[field]);
+    });
+
+    showToast(fieldErrors[fields[0]], 'error');
+    form.querySelector(`#${fieldMap[fields[0]]}`).focus();
+}
+
+/**
+ * Set button loading state
+ */
+function setButtonLoading(button, isLoading) {
+    if (isLoading) {
+        button.classList.add('btn-loading');
+        button.disabled = true;
+        button.setAttribute('aria-busy', 'true');
+    } else {
+        button.classList.remove('btn-loading');
+        button.disabled = false;
+        button.removeAttribute('aria-busy');
+    }
+}
+
+// ============================================
+// FORM VALIDATION
+// ============================================
+
+// Rules per form, keyed by input id and checked in this order: required, email,
+// minLength, maxLength. Lengths count characters of the trimmed value; counter
+// shows how many are left below the field.
+const FORM_VALIDATION = {
+    newsletterForm: {
+        newsletterEmail: { required: true, email: true, maxLength: 254 }
+    },
+    contactForm: {
+        contactName: { required: true, maxLength: 100 },
+        contactEmail: { required: true, email: true, maxLength: 254 },
+        contactSubject: { required: true, maxLength: 150 },
+        contactMessage: { required: true, minLength: 10, maxLength: 2000, counter: true }
+    }
+};
+
+// Dot-atom local part (RFC 5322), with letters and digits of any script (RFC 6531)
+const EMAIL_LOCAL_PART = /^[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+(?:\.[\p{L}\p{N}!#$%&'*+/=?^_`{|}~-]+)*$/u;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const TOP_LEVEL_DOMAIN = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+// Fields edited since the form was last reset; only those are checked when they lose focus
+const validationState = {
+    edited: new WeakSet()
+};
+
+/**
+ * Validate the forms in FORM_VALIDATION as they are filled in
+ */
+function initFormValidation() {
+    getValidatedForms().forEach(form => {
+        // Errors are shown inline instead of the browser's own bubbles
+        form.noValidate = true;
+        
+        getValidatedFields(form).forEach(({ input, rules }) => {
+            if (rules.counter) {
+                createCharacterCounter(input, rules);
+            }
+            
+            input.addEventListener('input', () => {
+                validationState.edited.add(input);
+                
+                if (rules.counter) {
+                    updateCharacterCounter(input, rules);
+                }
+                
+                // Clear the error as soon as it is fixed
+                if (input.getAttribute('aria-invalid') === 'true') {
+                    validateField(input, rules);
+                }
+            });
+            
+            input.addEventListener('blur', () => {
+                if (validationState.edited.has(input)) {
+                    validateField(input, rules);
+                }
+            });
+        });
+        
+        // The reset event fires before the values are cleared
+        form.addEventListener('reset', () => {
+            setTimeout(() => {
+                clearFieldErrors(form);
+                
+                getValidatedFields(form).forEach(({ input, rules }) => {
+                    validationState.edited.delete(input);
+                    if (rules.counter) updateCharacterCounter(input, rules);
+                });
+            }, 0);
+        });
+    });
+    
+    // Show counters and client-side errors in the new language (errors from the API stay)
+    document.addEventListener('locale:change', () => {
+        getValidatedForms().forEach(form => {
+            getValidatedFields(form).forEach(({ input, rules }) => {
+                if (rules.counter) {
+                    updateCharacterCounter(input, rules);
+                }
+                
+                const message = getFieldError(input.value.trim(), rules);
+                if (message && input.getAttribute('aria-invalid') === 'true') {
+                    setFieldError(input, message);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Forms on the page that have validation rules
+ */
+function getValidatedForms() {
+    return Object.keys(FORM_VALIDATION)
+        .map(id => document.getElementById(id))
+        .filter(Boolean);
+}
+
+/**
+ * Inputs of a form with their rules
+ */
+function getValidatedFields(form) {
+    const fields = FORM_VALIDATION[form.id] || {};
+    
+    return Object.keys(fields)
+        .map(id => ({ input: form.querySelector(`#${id}`), rules: fields[id] }))
+        .filter(field => field.input);
+}
+
+/**
+ * Message for the first rule a value breaks, or an empty string when it is valid
+ */
+function getFieldError(value, rules) {
+    const length = [...value].length;
+    
+    if (!value) {
+        return rules.required ? t('form.required') : '';
+    }
+    
+    if (rules.email && !isValidEmail(value)) {
+        return t('form.invalidEmail');
+    }
+    
+    if (rules.minLength && length < rules.minLength) {
+        return t('form.tooShort', { count: rules.minLength });
+    }
+    
+    if (rules.maxLength && length > rules.maxLength) {
+        return t('form.tooLong', { count: rules.maxLength });
+    }
+    
+    return '';
+}
+
+/**
+ * Check a field and show or clear its error
+ * @returns {boolean} Whether the field is valid
+ */
+function validateField(input, rules) {
+    const message = getFieldError(input.value.trim(), rules);
+    
+    if (message) {
+        setFieldError(input, message);
+    } else {
+        clearFieldError(input);
+    }
+    
+    return !message;
+}
+
+/**
+ * Check every field of a form and move focus to the first invalid one
+ * @returns {boolean} Whether the form can be sent
+ */
+function validateForm(form) {
+    const invalid = getValidatedFields(form).filter(({ input, rules }) => !validateField(input, rules));
+    
+    if (!invalid.length) return true;
+    
+    invalid[0].input.focus();
+    announceToScreenReader(t('form.invalidFields', { count: invalid.length }));
+    return false;
+}
+
+/**
+ * Mark a field as invalid and describe the error
+ */
+function setFieldError(input, message) {
+    if (!input) return;
+    
+    const errorId = `${input.id}Error`;
+    let errorElement = document.getElementById(errorId);
+    
+    if (!errorElement) {
+        errorElement = createElement('p', { id: errorId, className: 'field-error' });
+        (input.closest('.form-group') || input.parentElement).append(errorElement);
+    }
+    
+    errorElement.textContent = message;
+    input.setAttribute('aria-invalid', 'true');
+    addDescription(input, errorId);
+}
+
+/**
+ * Remove the error from a field
+ */
+function clearFieldError(input) {
+    const errorId = `${input.id}Error`;
+    const errorElement = document.getElementById(errorId);
+    
+    if (errorElement) {
+        errorElement.remove();
+    }
+    
+    input.removeAttribute('aria-invalid');
+    removeDescription(input, errorId);
+}
+
+/**
+ * Remove all field errors from a form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+    form.querySelectorAll('.field-error').forEach(element => element.remove());
+}
+
+/**
+ * Add an element to the ids in an input's aria-describedby
+ */
+function addDescription(input, id) {
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    
+    if (!describedBy.includes(id)) {
+        input.setAttribute('aria-describedby', describedBy.concat(id).join(' '));
+    }
+}
+
+/**
+ * Remove an element from the ids in an input's aria-describedby
+ */
+function removeDescription(input, id) {
+    const describedBy = (input.getAttribute('aria-describedby') || '')
+        .split(' ')
+        .filter(existing => existing && existing !== id);
+    
+    if (describedBy.length) {
+        input.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        input.removeAttribute('aria-describedby');
+    }
+}
+
+/**
+ * Characters left below a field, read along with it by screen readers
+ */
+function createCharacterCounter(input, rules) {
+    const counter = createElement('p', { id: `${input.id}Counter`, className: 'char-counter' });
+    
+    (input.closest('.form-group') || input.parentElement).append(counter);
+    addDescription(input, counter.id);
+    updateCharacterCounter(input, rules);
+}
+
+/**
+ * Update a character counter, flagging it once the value is too long
+ */
+function updateCharacterCounter(input, rules) {
+    const counter = document.getElementById(`${input.id}Counter`);
+    if (!counter) return;
+    
+    const remaining = rules.maxLength - [...input.value.trim()].length;
+    
+    counter.textContent = remaining < 0
+        ? t('form.charactersOver', { count: -remaining })
+        : t('form.charactersLeft', { count: remaining });
+    counter.classList.toggle('over-limit', remaining < 0);
+}
+
+/**
+ * Validate an email address, including internationalized ones (jöran@bücher.de)
+ */
+function isValidEmail(email) {
+    const at = email.lastIndexOf('@');
+    if (at < 1 || email.length > 254) return false;
+    
+    const localPart = email.slice(0, at);
+    const domain = toASCIIDomain(email.slice(at + 1));
+    
+    if (!domain || [...localPart].length > 64 || !EMAIL_LOCAL_PART.test(localPart)) {
+        return false;
+    }
+    
+    const labels = domain.split('.');
+    
+    return labels.length > 1 &&
+        domain.length <= 253 &&
+        labels.every(label => DOMAIN_LABEL.test(label)) &&
+        TOP_LEVEL_DOMAIN.test(labels[labels.length - 1]);
+}
+
+/**
+ * A domain name in its ASCII (Punycode) form, or null when it is not a host name
+ */
+function toASCIIDomain(domain) {
+    if (!domain || /[\s@/\\?#%:[\]]/.test(domain)) return null;
+    
+    try {
+        return new URL(`http://${domain}`).hostname;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================
+// SPAM PROTECTION
+// ============================================
+
+// Layered checks run before a form is sent, cheapest first: a honeypot field that
+// only bots fill in, a minimum time between showing the form and sending it, and a
+// per-session rate limit. Submissions that pass carry a proof-of-work token for the
+// API to verify. Only the mock routes check it here (withProofOfWork() is the
+// reference); a production API must do the same, or the token protects nothing.
+// A token is spent by its first use, but sending the same submission again with it
+// (a retry after a timeout, an outbox resend) must get the first answer back.
+// Messages stay neutral in case a real visitor trips a check.
+const SPAM_MESSAGES = {
+    honeypot: 'spam.rejected',
+    tooFast: 'spam.tooFast',
+    rateLimited: 'spam.rateLimited',
+    rejected: 'spam.rejected'
+};
+
+// Bump when the stamp format changes; older tokens are refused
+const PROOF_OF_WORK_VERSION = 1;
+
+// When each form was shown (or last sent), and proofs of work being computed for them
+const spamState = {
+    shownAt: new WeakMap(),
+    proofs: new WeakMap()
+};
+
+/**
+ * Start the clock on the protected forms and compute proofs of work once they are in use
+ */
+function initSpamProtection() {
+    Object.keys(OUTBOX_KINDS).forEach(kind => {
+        const form = document.getElementById(OUTBOX_KINDS[kind]);
+        if (!form) return;
+        
+        spamState.shownAt.set(form, Date.now());
+        
+        // Forms are reset once sent; the next submission needs its own fill time
+        form.addEventListener('reset', () => spamState.shownAt.set(form, Date.now()));
+        
+        // Done while the visitor types, so sending isn't held up
+        form.addEventListener('input', () => {
+            if (!spamState.proofs.has(form)) {
+                spamState.proofs.set(form, createProofOfWork(kind));
+            }
+        });
+    });
+}
+
+/**
+ * Run the client-side checks on a form about to be sent
+ * @returns {string|null} Reason the submission is refused (a key of SPAM_MESSAGES)
+ */
+function checkSubmission(form, kind) {
+    const honeypot = form.querySelector('[data-honeypot]');
+    if (honeypot && honeypot.value) {
+        return 'honeypot';
+    }
+    
+    const shownAt = spamState.shownAt.get(form) || 0;
+    if (Date.now() - shownAt < CONFIG.spam.minFillTime) {
+        return 'tooFast';
+    }
+    
+    if (getRecentSubmissions(kind).length >= CONFIG.spam.rateLimit) {
+        return 'rateLimited';
+    }
+    
+    return null;
+}
+
+/**
+ * Tell the visitor a submission was refused, and record why
+ */
+function rejectSubmission(kind, reason) {
+    showToast(t(SPAM_MESSAGES[reason]), 'info');
+    trackEvent('spam_blocked', { form: kind, reason });
+}
+
+/**
+ * Whether the API refused a submission as spam
+ */
+function isSpamRejection(error) {
+    return error instanceof ApiError && error.code === 'rejected';
+}
+
+/**
+ * Count a submission against the rate limit
+ * Only once it was accepted or queued, so failed attempts and retries don't lock anyone out
+ */
+function recordSubmission(kind) {
+    const submissions = readSubmissions();
+    submissions[kind] = getRecentSubmissions(kind).concat(Date.now());
+    
+    try {
+        sessionStorage.setItem(CONFIG.storage.submissions, JSON.stringify(submissions));
+    } catch (error) {
+        // Storage blocked: no rate limit, the other checks still apply
+    }
+}
+
+/**
+ * Times of this session's submissions of a form within the rate limit window
+ */
+function getRecentSubmissions(kind) {
+    const since = Date.now() - CONFIG.spam.rateLimitWindow;
+    const times = readSubmissions()[kind];
+    
+    return Array.isArray(times) ? times.filter(time => typeof time === 'number' && time > since) : [];
+}
+
+/**
+ * Submission times per form kind from session storage
+ */
+function readSubmissions() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(CONFIG.storage.submissions));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Proof of work to attach to a submission, or null when it is turned off or
+ * the browser can't hash (no Web Crypto outside secure contexts)
+ * A token is used once; the next input on the form starts a new one.
+ */
+async function takeProofOfWork(form, kind) {
+    const proof = spamState.proofs.get(form) || createProofOfWork(kind);
+    spamState.proofs.delete(form);
+    
+    try {
+        return await proof;
+    } catch (error) {
+        console.error('Proof of work failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Find a nonce giving the stamp's hash the configured number of leading zero bits
+ * @returns {Promise<{stamp: string, nonce: number}|null>}
+ */
+async function createProofOfWork(kind) {
+    const bits = CONFIG.spam.proofOfWorkBits;
+    if (!bits || !window.crypto || !window.crypto.subtle) return null;
+    
+    const stamp = [PROOF_OF_WORK_VERSION, bits, Date.now(), kind, createRandomToken(8)].join(':');
+    
+    for (let nonce = 0; ; nonce++) {
+        if (await countLeadingZeroBits(`${stamp}:${nonce}`) >= bits) {
+            return { stamp, nonce };
+        }
+    }
+}
+
+/**
+ * Milliseconds since a proof-of-work token was made
+ */
+function getProofOfWorkAge(token) {
+    return Date.now() - Number(token.stamp.split(':')[2]);
+}
+
+/**
+ * Leading zero bits of the SHA-256 hash of a string
+ */
+async function countLeadingZeroBits(text) {
+    const hash = new Uint8Array(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    let bits = 0;
+    
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    
+    return bits;
+}
+
+// ============================================
+// CONTACT DRAFTS
+// ============================================
+
+// The contact form is saved to session storage while it is filled in, so a reload,
+// a visit to another page or a failed send doesn't lose the message. A draft is
+// removed once its message is delivered or when the visitor discards it; a form
+// cleared after queueing a message keeps the draft, marked as queued, until the
+// outbox sends it. A queued draft is not restored (the outbox already holds the
+// message) unless the server refuses it.
+
+// Whether the contact form changed since the draft was last saved
+const draftState = {
+    dirty: false
+};
+
+/**
+ * Restore the saved draft and keep saving the contact form as it is edited
+ */
+function initContactDraft(form) {
+    const save = debounce(() => saveContactDraft(form), CONFIG.drafts.saveDelay);
+    
+    form.addEventListener('input', (e) => {
+        if (e.target.matches('[data-honeypot]')) return;
+        
+        draftState.dirty = true;
+        save();
+    });
+    
+    // Clearing the form after sending is not an edit
+    form.addEventListener('reset', () => {
+        draftState.dirty = false;
+    });
+    
+    // Keystrokes still waiting for the debounce
+    window.addEventListener('pagehide', () => saveContactDraft(form));
+    
+    restoreContactDraft(form);
+}
+
+/**
+ * Save the contact fields, or drop the draft once they have all been emptied
+ * (the honeypot and the proof of work are never saved)
+ */
+function saveContactDraft(form) {
+    if (!draftState.dirty) return;
+    draftState.dirty = false;
+    
+    const fields = {};
+    Object.entries(CONTACT_FIELDS).forEach(([field, id]) => {
+        const input = form.querySelector(`#${id}`);
+        if (input) fields[field] = input.value;
+    });
+    
+    try {
+        if (Object.values(fields).every(value => !value.trim())) {
+            sessionStorage.removeItem(CONFIG.storage.contactDraft);
+        } else {
+            sessionStorage.setItem(CONFIG.storage.contactDraft, JSON.stringify({ fields, savedAt: Date.now() }));
+        }
+    } catch (error) {
+        // Storage blocked or full: the form works without drafts
+    }
+}
+
+/**
+ * Saved draft, or null when there is none or it has expired
+ * @returns {{fields: Object<string, string>, savedAt: number, queued: boolean}|null}
+ */
+function readContactDraft() {
+    let draft = null;
+    
+    try {
+        draft = JSON.parse(sessionStorage.getItem(CONFIG.storage.contactDraft));
+    } catch (error) {
+        return null;
+    }
+    
+    if (!draft || typeof draft.fields !== 'object' || typeof draft.savedAt !== 'number') {
+        return null;
+    }
+    
+    if (Date.now() - draft.savedAt > CONFIG.drafts.maxAge) {
+        clearContactDraft();
+        return null;
+    }
+    
+    return draft;
+}
+
+/**
+ * Fill the contact form from the saved draft and offer to discard it
+ */
+function restoreContactDraft(form) {
+    const draft = readContactDraft();
+    if (!draft || draft.queued) return;
+    
+    let restored = false;
+    Object.entries(CONTACT_FIELDS).forEach(([field, id]) => {
+        const input = form.querySelector(`#${id}`);
+        const value = draft.fields[field];
+        
+        // Values the browser kept across a reload are newer
+        if (!input || typeof value !== 'string' || input.value) return;
+        
+        input.value = value;
+        restored = true;
+    });
+    
+    if (!restored) return;
+    
+    getValidatedFields(form).forEach(({ input, rules }) => {
+        if (rules.counter) updateCharacterCounter(input, rules);
+    });
+    
+    const toast = showToast(t('contact.draftRestored'), 'info', {
+        actions: [{ id: 'discard', label: t('contact.discardDraft') }]
+    });
+    
+    toast.result.then(action => {
+        if (action !== 'discard') return;
+        
+        form.reset();
+        clearContactDraft();
+        trackEvent('contact_draft_discarded');
+    });
+}
+
+/**
+ * Mark the saved draft as waiting in the outbox, or as needing to be sent again
+ */
+function setContactDraftQueued(queued) {
+    const draft = readContactDraft();
+    if (!draft) return;
+    
+    try {
+        sessionStorage.setItem(CONFIG.storage.contactDraft, JSON.stringify({ ...draft, queued }));
+    } catch (error) {
+        // Storage blocked or full: the form works without drafts
+    }
+}
+
+/**
+ * Remove the saved draft
+ * @param {number} [savedBefore] - Keep a draft saved after this time (a new message
+ * written while an older one waited in the outbox)
+ */
+function clearContactDraft(savedBefore = Infinity) {
+    try {
+        const draft = JSON.parse(sessionStorage.getItem(CONFIG.storage.contactDraft));
+        if (draft && draft.savedAt > savedBefore) return;
+        
+        sessionStorage.removeItem(CONFIG.storage.contactDraft);
+    } catch (error) {
+        // Nothing to clear without storage
+    }
+}
+
+// ============================================
+// NEWSLETTER
+// ============================================
+
+// Double opt-in: a subscription stays "pending" until the link emailed to the
+// address is opened (#newsletter/confirm/<token>). Confirming returns the token that
+// manages the subscription, used by the preferences page (#newsletter) and by the
+// unsubscribe link in every newsletter (#newsletter/unsubscribe/<token>).
+const NEWSLETTER_STATUSES = ['none', 'pending', 'subscribed'];
+
+// Delivery frequencies (labels are i18n keys); topics are the manifest categories
+const NEWSLETTER_FREQUENCIES = [
+    { value: 'weekly', label: 'newsletter.frequency.weekly' },
+    { value: 'monthly', label: 'newsletter.frequency.monthly' }
+];
+
+// Older versions only stored this flag
+const LEGACY_NEWSLETTER_KEY = 'devhubx_newsletter_subscribed';
+
+// Subscription made on this device, mirrored in localStorage
+const newsletterState = {
+    status: 'none',
+    email: null,
+    token: null
+};
+
+// Token from an unsubscribe link, kept in memory once it is out of the address bar
+const newsletterLinkState = {
+    unsubscribeToken: null
+};
+
+/**
+ * Restore the subscription and show it under the newsletter form
+ */
+function initNewsletter() {
+    Object.assign(newsletterState, loadNewsletterState());
+    renderNewsletterStatus();
+    
+    document.addEventListener('locale:change', renderNewsletterStatus);
+}
+
+/**
+ * Saved subscription, migrating the old "subscribed" flag
+ */
+function loadNewsletterState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.storage.newsletter));
+        
+        if (saved && NEWSLETTER_STATUSES.includes(saved.status)) {
+            return {
+                status: saved.status,
+                email: typeof saved.email === 'string' ? saved.email : null,
+                token: typeof saved.token === 'string' ? saved.token : null
+            };
+        }
+        
+        // Subscribed before double opt-in: no address or token to manage it with
+        if (localStorage.getItem(LEGACY_NEWSLETTER_KEY) === 'true') {
+            localStorage.removeItem(LEGACY_NEWSLETTER_KEY);
+            saveNewsletterState({ status: 'subscribed', email: null, token: null });
+            return { status: 'subscribed', email: null, token: null };
+        }
+    } catch (error) {
+        // Storage blocked or corrupted: nothing to restore
+    }
+    
+    return {};
+}
+
+/**
+ * Persist the subscription
+ */
+function saveNewsletterState(state) {
+    try {
+        if (state.status === 'none') {
+            localStorage.removeItem(CONFIG.storage.newsletter);
+        } else {
+            localStorage.setItem(CONFIG.storage.newsletter, JSON.stringify(state));
+        }
+    } catch (error) {
+        // Storage blocked: the subscription is only remembered for this visit
+    }
+}
+
+/**
+ * Update, save and show the subscription
+ */
+function setNewsletterState(changes) {
+    Object.assign(newsletterState, changes);
+    saveNewsletterState(newsletterState);
+    renderNewsletterStatus();
+}
+
+/**
+ * Endpoint under CONFIG.api.newsletter
+ */
+function getNewsletterUrl(path = '') {
+    return `${CONFIG.api.newsletter}${path}`;
+}
+
+/**
+ * Record a subscription request that now awaits confirmation by email
+ */
+function markNewsletterPending(email) {
+    showToast(t('newsletter.pending'), 'success');
+    setNewsletterState({ status: 'pending', email, token: null });
+    trackEvent('newsletter_subscription', { status: 'pending' });
+}
+
+/**
+ * Show the subscription under the newsletter form; the form itself stays usable
+ * to subscribe another address or ask for a new confirmation link
+ */
+function renderNewsletterStatus() {
+    const form = document.getElementById('newsletterForm');
+    if (!form) return;
+    
+    let status = document.getElementById('newsletterStatus');
+    const { status: state, email, token } = newsletterState;
+    
+    if (state === 'none') {
+        if (status) status.remove();
+        return;
+    }
+    
+    if (!status) {
+        status = createElement('p', { id: 'newsletterStatus', className: 'newsletter-status' });
+        form.querySelector('.form-group').after(status);
+    }
+    
+    let message = t('newsletter.alreadySubscribed');
+    if (state === 'pending') {
+        message = t('newsletter.pendingStatus', { email });
+    } else if (email) {
+        message = t('newsletter.subscribedAs', { email });
+    }
+    
+    status.replaceChildren(
+        message,
+        state === 'subscribed' && token ? ' ' : null,
+        state === 'subscribed' && token ? createElement('a', { href: '#newsletter' }, t('newsletter.manage')) : null
+    );
+}
+
+/**
+ * Newsletter pages: preferences, or the confirmation and unsubscribe links from emails
+ */
+async function renderNewsletterPage({ action, token } = {}) {
+    if (action === 'confirm') {
+        return token ? confirmNewsletterSubscription(token) : null;
+    }
+    
+    if (action === 'unsubscribe') {
+        if (token) {
+            newsletterLinkState.unsubscribeToken = token;
+            
+            // Keep the token out of the history, bookmarks and analytics
+            history.replaceState(history.state, '', '#newsletter/unsubscribe');
+        }
+        
+        const unsubscribeToken = newsletterLinkState.unsubscribeToken || newsletterState.token;
+        return unsubscribeToken ? createUnsubscribePage(unsubscribeToken) : renderNewsletterPreferencesPage();
+    }
+    
+    return renderNewsletterPreferencesPage();
+}
+
+/**
+ * Page with a heading, text and links or controls below
+ */
+function createNewsletterPage(title, text, children = []) {
+    return {
+        view: 'newsletter',
+        section: 'subscribe',
+        title,
+        description: t('newsletter.description'),
+        content: createElement('div', { className: 'container route-page newsletter-page' }, [
+            createElement('div', { className: 'section-header' }, [
+                createElement('h1', {}, title),
+                text ? createElement('p', {}, text) : null
+            ]),
+            ...children
+        ])
+    };
+}
+
+/**
+ * Links back to the newsletter form
+ */
+function createSubscribeActions(label) {
+    return createElement('div', { className: 'not-found-actions' }, [
+        createElement('a', { href: '#subscribe', className: 'btn-primary' }, label),
+        createElement('a', { href: '#home', className: 'btn-outline' }, t('page.home'))
+    ]);
+}
+
+/**
+ * Whether the API refused a confirmation or management token
+ */
+function isInvalidTokenError(error) {
+    return error instanceof ApiError && !error.retryable && !isNetworkError(error);
+}
+
+/**
+ * Confirm a subscription with the token from the emailed link
+ */
+async function confirmNewsletterSubscription(token) {
+    let subscriber;
+    
+    try {
+        subscriber = await apiRequest(getNewsletterUrl('/confirm'), { token });
+    } catch (error) {
+        // Offline or server trouble: the error page offers to try again
+        if (!isInvalidTokenError(error)) throw error;
+        
+        return createNewsletterPage(t('newsletter.confirmFailedTitle'), t('newsletter.confirmFailed'), [
+            createSubscribeActions(t('newsletter.subscribeAgain'))
+        ]);
+    }
+    
+    setNewsletterState({ status: 'subscribed', email: subscriber.email, token: subscriber.token });
+    
+    // The link is spent; keep it out of the history and bookmarks
+    history.replaceState(history.state, '', '#newsletter');
+    trackEvent('newsletter_confirmed');
+    
+    return renderNewsletterPreferencesPage({ notice: t('newsletter.confirmed') });
+}
+
+/**
+ * Preferences for the subscription on this device
+ * @param {Object} [options]
+ * @param {string} [options.notice] - Shown above the preferences (e.g. after confirming)
+ */
+async function renderNewsletterPreferencesPage({ notice = '' } = {}) {
+    const { status, email, token } = newsletterState;
+    
+    if (status === 'none') {
+        return createNewsletterPage(t('newsletter.title'), t('newsletter.notSubscribed'), [
+            createSubscribeActions(t('newsletter.subscribe'))
+        ]);
+    }
+    
+    if (status === 'pending') {
+        return createNewsletterPage(t('newsletter.title'), t('newsletter.pendingPage', { email }), [
+            createSubscribeActions(t('newsletter.useDifferentAddress'))
+        ]);
+    }
+    
+    if (!token) {
+        return createNewsletterPage(t('newsletter.title'), t('newsletter.noToken'));
+    }
+    
+    let preferences;
+    try {
+        preferences = await apiRequest(`${getNewsletterUrl('/preferences')}?token=${encodeURIComponent(token)}`, undefined, { method: 'GET' });
+    } catch (error) {
+        if (!isInvalidTokenError(error)) throw error;
+        
+        // Unsubscribed elsewhere (e.g. from an email link)
+        setNewsletterState({ status: 'none', email: null, token: null });
+        return createNewsletterPage(t('newsletter.title'), t('newsletter.linkInvalid'), [
+            createSubscribeActions(t('newsletter.subscribeAgain'))
+        ]);
+    }
+    
+    const manifest = await loadContentManifest();
+    
+    return createNewsletterPage(t('newsletter.title'), notice || t('newsletter.subscribedAs', { email: preferences.email }), [
+        createNewsletterPreferencesForm(token, preferences, manifest.categories),
+        createElement('section', { className: 'newsletter-unsubscribe', 'aria-labelledby': 'newsletterUnsubscribeTitle' }, [
+            createElement('h2', { id: 'newsletterUnsubscribeTitle' }, t('newsletter.unsubscribeTitle')),
+            createElement('p', {}, t('newsletter.unsubscribeText', { email: preferences.email })),
+            createElement('button', {
+                type: 'button',
+                className: 'btn-outline',
+                onClick: (e) => unsubscribeNewsletter(token, e.currentTarget)
+            }, t('newsletter.unsubscribe'))
+        ])
+    ]);
+}
+
+/**
+ * Topic and frequency choices
+ * @param {{topics: string[]|null, frequency: string}} preferences - null topics means all of them
+ * @param {Object<string, Category>} categories
+ */
+function createNewsletterPreferencesForm(token, preferences, categories) {
+    const topics = preferences.topics || Object.keys(categories);
+    
+    const form = createElement('form', {
+        id: 'newsletterPreferences',
+        className: 'newsletter-preferences',
+        novalidate: true,
+        onSubmit: (e) => saveNewsletterPreferences(e, token)
+    }, [
+        createElement('fieldset', { id: 'newsletterTopics', className: 'form-group' }, [
+            createElement('legend', {}, t('newsletter.topics')),
+            createElement('div', { className: 'newsletter-options' }, Object.entries(categories).map(([key, category]) => (
+                createElement('label', { className: 'newsletter-option' }, [
+                    createElement('input', { type: 'checkbox', name: 'topics', value: key, checked: topics.includes(key) }),
+                    category.name
+                ])
+            )))
+        ]),
+        createElement('fieldset', { className: 'form-group' }, [
+            createElement('legend', {}, t('newsletter.frequency')),
+            createElement('div', { className: 'newsletter-options' }, NEWSLETTER_FREQUENCIES.map(({ value, label }) => (
+                createElement('label', { className: 'newsletter-option' }, [
+                    createElement('input', { type: 'radio', name: 'frequency', value, checked: preferences.frequency === value }),
+                    t(label)
+                ])
+            )))
+        ]),
+        createElement('button', { type: 'submit', className: 'btn-primary' }, t('newsletter.save'))
+    ]);
+    
+    return form;
+}
+
+/**
+ * Send the chosen topics and frequency
+ */
+async function saveNewsletterPreferences(e, token) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const topicsField = form.querySelector('#newsletterTopics');
+    const topics = [...form.querySelectorAll('input[name="topics"]:checked')].map(input => input.value);
+    const frequency = form.querySelector('input[name="frequency"]:checked');
+    
+    clearFieldErrors(form);
+    
+    if (!topics.length) {
+        setFieldError(topicsField, t('newsletter.topicsRequired'));
+        topicsField.querySelector('input').focus();
+        return;
+    }
+    
+    setButtonLoading(submitBtn, true);
+    
+    try {
+        await apiRequest(getNewsletterUrl('/preferences'), {
+            token,
+            topics,
+            frequency: frequency ? frequency.value : NEWSLETTER_FREQUENCIES[0].value
+        }, { method: 'PUT' });
+        
+        showToast(t('newsletter.saved'), 'success');
+        trackEvent('newsletter_preferences', { topics: topics.length, frequency: frequency ? frequency.value : null });
+    } catch (error) {
+        console.error('Saving newsletter preferences failed:', error);
+        showRequestError(form, error, { topics: 'newsletterTopics' }, t('newsletter.saveFailed'));
+    } finally {
+        setButtonLoading(submitBtn, false);
+    }
+}
+
+/**
+ * Confirmation step for the unsubscribe link in newsletter emails
+ * (a button rather than on load, so link scanners can't unsubscribe anyone)
+ */
+function createUnsubscribePage(token) {
+    return createNewsletterPage(t('newsletter.unsubscribeTitle'), t('newsletter.unsubscribeConfirm'), [
+        createElement('div', { className: 'not-found-actions' }, [
+            createElement('button', {
+                type: 'button',
+                className: 'btn-primary',
+                onClick: (e) => unsubscribeNewsletter(token, e.currentTarget)
+            }, t('newsletter.unsubscribe')),
+            createElement('a', { href: '#home', className: 'btn-outline' }, t('page.home'))
+        ])
+    ]);
+}
+
+/**
+ * End a subscription and replace the page with the result
+ */
+async function unsubscribeNewsletter(token, button) {
+    setButtonLoading(button, true);
+    
+    let page;
+    try {
+        await apiRequest(getNewsletterUrl('/unsubscribe'), { token });
+        
+        // The address may be the one subscribed on this device (or one from before double opt-in)
+        if (newsletterState.token === token || (newsletterState.status === 'subscribed' && !newsletterState.token)) {
+            setNewsletterState({ status: 'none', email: null, token: null });
+        }
+        
+        trackEvent('newsletter_unsubscribe');
+        page = createNewsletterPage(t('newsletter.unsubscribeTitle'), t('newsletter.unsubscribed'), [
+            createSubscribeActions(t('newsletter.subscribeAgain'))
+        ]);
+    } catch (error) {
+        console.error('Unsubscribing failed:', error);
+        setButtonLoading(button, false);
+        
+        if (!isInvalidTokenError(error)) {
+            showToast(t('newsletter.unsubscribeFailed'), 'error');
+            return;
+        }
+        
+        page = createNewsletterPage(t('newsletter.unsubscribeTitle'), t('newsletter.linkInvalid'));
+    }
+    
+    const view = document.getElementById('routeView');
+    if (!view || !view.contains(button)) return;
+    
+    view.replaceChildren(page.content);
+    
+    const title = view.querySelector('h1');
+    title.setAttribute('tabindex', '-1');
+    title.focus();
+}
+
+// ============================================
+// CONTENT (posts.json manifest)
+// ============================================
+
+/**
+ * @typedef {Object} Category
+ * @property {string} name - Display name
+ * @property {string} color - CSS color of the category badge
+ */
+
+/**
+ * @typedef {Object} Post
+ * @property {'post'} type
+ * @property {string} id - Slug used in URLs (e.g. "post1")
+ * @property {string} title
+ * @property {string} excerpt
+ * @property {string} category - Key into the manifest categories
+ * @property {string[]} tags
+ * @property {string} datePublished - ISO 8601 date or date-time
+ * @property {string} [dateModified] - ISO 8601 date or date-time
+ * @property {number} readTime - Minutes; calculated from the content when omitted
+ * @property {{src: string, alt: string}} image
+ * @property {string} [content] - Path to the Markdown or HTML body
+ */
+
+/**
+ * @typedef {Object} Tutorial
+ * @property {'tutorial'} type
+ * @property {string} id - Slug used in URLs (e.g. "tutorial1")
+ * @property {string} title
+ * @property {string} excerpt
+ * @property {'beginner'|'intermediate'|'advanced'} difficulty
+ * @property {string[]} steps
+ * @property {number} duration - Minutes needed to follow along
+ * @property {string[]} tags
+ * @property {string} datePublished - ISO 8601 date or date-time
+ * @property {string} [dateModified] - ISO 8601 date or date-time
+ * @property {number} readTime - Minutes; calculated from the content when omitted
+ * @property {string} [content] - Path to the Markdown or HTML body
+ */
+
+/**
+ * @typedef {Object} ContentManifest
+ * @property {Object} site - Blog title, URL, author and publisher
+ * @property {Object.<string, Category>} categories
+ * @property {Post[]} posts - Newest first
+ * @property {Tutorial[]} tutorials - Newest first
+ */
+
+// Difficulty levels mapped to their badge class and label (an i18n key)
+const DIFFICULTY_LEVELS = {
+    beginner: { className: 'easy', label: 'difficulty.beginner' },
+    intermediate: { className: 'intermediate', label: 'difficulty.intermediate' },
+    advanced: { className: 'advanced', label: 'difficulty.advanced' }
+};
+
+const contentState = {
+    manifest: null,
+    loading: null
+};
+
+/**
+ * Load the manifest and render the posts and tutorials grids
+ */
+async function initContent() {
+    const postsGrid = document.querySelector('[data-content="posts"]');
+    const tutorialsGrid = document.querySelector('[data-content="tutorials"]');
+    if (!postsGrid && !tutorialsGrid) return;
+    
+    document.addEventListener('locale:change', refreshContent);
+    
+    try {
+        const manifest = await loadContentManifest();
+        const filters = document.getElementById('postFilters');
+        
+        readFiltersFromUrl();
+        
+        if (filters) {
+            renderFilterControls(filters, manifest);
+            updateFilterControls(manifest);
+        }
+        if (postsGrid) {
+            renderFeaturedPosts(postsGrid, manifest);
+        }
+        if (tutorialsGrid) {
+            renderTutorialsGrid(tutorialsGrid, manifest.tutorials);
+        }
+        
+        buildSearchIndex();
+        updateStructuredData(manifest);
+        document.dispatchEvent(new CustomEvent('content:ready', { detail: manifest }));
+    } catch (error) {
+        console.error('Failed to load content:', error);
+        [postsGrid, tutorialsGrid].filter(Boolean).forEach(grid => {
+            grid.removeAttribute('aria-busy');
+            grid.replaceChildren(createElement('p', { className: 'content-error', dataset: { i18n: 'content.loadFailed' } },
+                t('content.loadFailed')));
+        });
+    }
+}
+
+/**
+ * Re-render the cards and the filter summary in the current language
+ */
+function refreshContent() {
+    const manifest = contentState.manifest;
+    if (!manifest) return;
+    
+    const postsGrid = document.querySelector('[data-content="posts"]');
+    const tutorialsGrid = document.querySelector('[data-content="tutorials"]');
+    
+    if (postsGrid) {
+        renderFeaturedPosts(postsGrid, manifest);
+    }
+    if (tutorialsGrid) {
+        renderTutorialsGrid(tutorialsGrid, manifest.tutorials);
+    }
+    
+    updateFilterControls(manifest);
+}
+
+/**
+ * Fetch and normalize the content manifest (cached after the first call)
+ * @returns {Promise<ContentManifest>}
+ */
+function loadContentManifest() {
+    if (!contentState.loading) {
+        contentState.loading = fetch(CONFIG.content.manifestUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Manifest request failed with status ${response.status}`);
+                }
+                return response.json();
+            })
+            .then(normalizeManifest)
+            .then(async manifest => {
+                await Promise.all(manifest.posts.concat(manifest.tutorials).map(resolveReadTime));
+                contentState.manifest = manifest;
+                return manifest;
+            })
+            .catch(error => {
+                contentState.loading = null;
+                throw error;
+            });
+    }
+    
+    return contentState.loading;
+}
+
+/**
+ * Generate the RSS, Atom and JSON feeds from the manifest (requires feed.js)
+ * @returns {Promise<Object.<string, string>>} Feed documents keyed by file name
+ */
+async function generateFeeds(options) {
+    if (!window.DevHubXFeed) {
+        throw new Error('feed.js is not loaded');
+    }
+    
+    return window.DevHubXFeed.generateFeeds(await loadContentManifest(), options);
+}
+
+/**
+ * Replace the JSON-LD in the page with a graph generated from the manifest (requires seo.js)
+ */
+function updateStructuredData(manifest) {
+    const script = document.getElementById('structuredData');
+    if (!script || !window.DevHubXSEO) return;
+    
+    const { createStructuredData, serializeStructuredData } = window.DevHubXSEO;
+    script.textContent = trustedScript(serializeStructuredData(createStructuredData(manifest), 0));
+}
+
+/**
+ * Generate the sitemap from the manifest (requires seo.js)
+ */
+async function generateSitemap(options) {
+    if (!window.DevHubXSEO) {
+        throw new Error('seo.js is not loaded');
+    }
+    
+    return window.DevHubXSEO.createSitemap(await loadContentManifest(), options);
+}
+
+/**
+ * Validate manifest entries, apply defaults and sort them newest first
+ * Invalid entries are skipped with a warning instead of breaking the page
+ * @returns {ContentManifest}
+ */
+function normalizeManifest(raw) {
+    const categories = raw.categories || {};
+    
+    const isString = value => typeof value === 'string' && value.trim() !== '';
+    const isStringArray = value => Array.isArray(value) && value.every(isString);
+    const isDate = value => isString(value) && !Number.isNaN(Date.parse(value));
+    const isOptional = (value, check) => value === undefined || check(value);
+    const isPositiveNumber = value => typeof value === 'number' && value > 0;
+    
+    const validators = {
+        post: entry => isString(entry.id) && isString(entry.title) && isString(entry.excerpt) &&
+            Boolean(categories[entry.category]) &&
+            isOptional(entry.tags, isStringArray) &&
+            isDate(entry.datePublished) && isOptional(entry.dateModified, isDate) &&
+            isOptional(entry.readTime, isPositiveNumber) &&
+            Boolean(entry.image && isString(entry.image.src) && isString(entry.image.alt)) &&
+            isOptional(entry.content, isString),
+        tutorial: entry => isString(entry.id) && isString(entry.title) && isString(entry.excerpt) &&
+            Boolean(DIFFICULTY_LEVELS[entry.difficulty]) &&
+            isStringArray(entry.steps) && isPositiveNumber(entry.duration) &&
+            isOptional(entry.tags, isStringArray) &&
+            isDate(entry.datePublished) && isOptional(entry.dateModified, isDate) &&
+            isOptional(entry.readTime, isPositiveNumber) &&
+            isOptional(entry.content, isString)
+    };
+    
+    const normalize = (entries, type) => (Array.isArray(entries) ? entries : [])
+        .filter(entry => {
+            const valid = validators[type](entry);
+            if (!valid) {
+                console.warn(`Skipping invalid ${type} in manifest:`, entry && entry.id);
+            }
+            return valid;
+        })
+        .map(entry => ({ ...entry, type, tags: entry.tags || [] }))
+        .sort((a, b) => Date.parse(b.datePublished) - Date.parse(a.datePublished));
+    
+    return {
+        site: raw.site || {},
+        categories,
+        posts: normalize(raw.posts, 'post'),
+        tutorials: normalize(raw.tutorials, 'tutorial')
+    };
+}
+
+/**
+ * Fill in a missing read time from the entry's content (or its excerpt)
+ */
+async function resolveReadTime(entry) {
+    if (entry.readTime) return;
+    
+    let text = entry.excerpt;
+    
+    if (entry.content) {
+        try {
+            const response = await fetch(entry.content);
+            if (response.ok) {
+                // Markup doesn't count towards reading time
+                text = (await response.text()).replace(/<[^>]+>/g, ' ');
+            }
+        } catch (error) {
+            // Fall back to the excerpt
+        }
+    }
+    
+    entry.readTime = getReadingMinutes(text);
+}
+
+/**
+ * Get the read time label of an entry
+ */
+function getReadTimeLabel(entry) {
+    return formatReadingTime(entry.readTime);
+}
+
+/**
+ * Render post cards into a grid
+ */
+function renderPostsGrid(grid, posts, categories, { limitOnMobile = true } = {}) {
+    grid.removeAttribute('aria-busy');
+    grid.replaceChildren(...posts.map((post, index) => {
+        const card = createPostCard(post, categories[post.category]);
+        
+        // Keep the grid short on small screens
+        if (limitOnMobile && index >= CONFIG.content.mobilePosts) {
+            card.classList.add('hidden-md-down');
+        }
+        return card;
+    }));
+}
+
+/**
+ * Render tutorial cards into a grid
+ */
+function renderTutorialsGrid(grid, tutorials) {
+    grid.removeAttribute('aria-busy');
+    grid.replaceChildren(...tutorials.map(createTutorialCard));
+}
+
+/**
+ * Post card template (schema.org BlogPosting microdata)
+ * @param {Post} post
+ * @param {Category} category
+ */
+function createPostCard(post, category) {
+    const badge = createCategoryBadge(post.category, category);
+    
+    return createElement('article', {
+        className: 'post-card',
+        itemscope: true,
+        itemtype: 'https://schema.org/BlogPosting',
+        dataset: { postId: post.id }
+    }, [
+        createElement('div', { className: 'post-category' }, badge),
+        createElement('div', { className: 'post-image' },
+            createElement('img', {
+                src: post.image.src,
+                alt: post.image.alt,
+                width: 400,
+                height: 200,
+                loading: 'lazy',
+                itemprop: 'image'
+            })
+        ),
+        createElement('div', { className: 'post-content' }, [
+            createElement('h3', { className: 'post-title', itemprop: 'headline' },
+                createElement('a', { href: `#${post.id}`, itemprop: 'url' }, post.title)
+            ),
+            createElement('p', { className: 'post-excerpt', itemprop: 'description' }, post.excerpt),
+            createElement('div', { className: 'post-meta' }, [
+                createElement('time', { datetime: post.datePublished.slice(0, 10), itemprop: 'datePublished' },
+                    formatDate(post.datePublished, { year: 'numeric', month: 'short', day: 'numeric' })),
+                createElement('span', { className: 'read-time', itemprop: 'timeRequired' }, getReadTimeLabel(post)),
+                createBookmarkButton(post)
+            ]),
+            createElement('div', { className: 'post-tags' }, post.tags.map(createTagButton))
+        ]),
+        createElement('meta', { itemprop: 'author', content: CONFIG.content.author }),
+        createElement('meta', { itemprop: 'publisher', content: CONFIG.content.publisher })
+    ]);
+}
+
+/**
+ * Category badge that filters the posts by its category
+ * @param {string} key - Key into the manifest categories
+ * @param {Category} category
+ */
+function createCategoryBadge(key, category) {
+    const badge = createElement('button', {
+        type: 'button',
+        className: 'category-badge',
+        dataset: { filterCategory: key },
+        title: t('content.showCategory', { category: category.name })
+    }, category.name);
+    
+    // Through the CSSOM, which the style-src policy allows (a style attribute would be blocked)
+    badge.style.setProperty('--category-color', category.color);
+    return badge;
+}
+
+/**
+ * Tag that filters the posts by itself
+ */
+function createTagButton(tag) {
+    return createElement('button', {
+        type: 'button',
+        className: 'tag',
+        itemprop: 'keywords',
+        dataset: { filterTag: tag },
+        title: t('content.showTag', { tag })
+    }, tag);
+}
+
+/**
+ * Tutorial card template
+ * @param {Tutorial} tutorial
+ */
+function createTutorialCard(tutorial) {
+    const difficulty = DIFFICULTY_LEVELS[tutorial.difficulty];
+    
+    return createElement('article', { className: 'tutorial-card', dataset: { postId: tutorial.id } }, [
+        createElement('div', { className: 'tutorial-header' }, [
+            createElement('span', { className: `difficulty-badge ${difficulty.className}` }, t(difficulty.label)),
+            createElement('h3', {}, tutorial.title)
+        ]),
+        createElement('ul', { className: 'tutorial-steps' },
+            tutorial.steps.map(step => createElement('li', {}, step))
+        ),
+        createElement('div', { className: 'tutorial-footer' }, [
+            createElement('span', { className: 'tutorial-time' }, t('reading.duration', { count: tutorial.duration })),
+            createBookmarkButton(tutorial),
+            createElement('a', { href: `#${tutorial.id}`, className: 'tutorial-link' }, t('content.readTutorial'))
+        ])
+    ]);
+}
+
+// ============================================
+// POST FILTERS
+// ============================================
+
+// Query string parameters holding the filter state (e.g. "?tag=Terraform&match=any")
+const FILTER_PARAMS = {
+    tag: 'tag',
+    category: 'category',
+    match: 'match'
+};
+
+const filterState = {
+    tags: new Set(),
+    categories: new Set(),
+    // "all": in one of the categories AND tagged with every tag; "any": matches any filter
+    match: 'all'
+};
+
+/**
+ * Handle filter clicks on tags, category badges and filter links
+ */
+function initFilters() {
+    document.addEventListener('click', (e) => {
+        const facet = e.target.closest('[data-filter-tag], [data-filter-category]');
+        
+        if (facet) {
+            e.preventDefault();
+            const kind = facet.dataset.filterTag !== undefined ? 'tags' : 'categories';
+            const value = kind === 'tags' ? facet.dataset.filterTag : facet.dataset.filterCategory;
+            
+            if (routerState.view === 'home') {
+                toggleFilter(kind, value);
+                
+                // The clicked card may have been re-rendered away
+                if (!facet.isConnected) {
+                    focusFilterChip(kind, value);
+                }
+            } else {
+                // From an article, show the posts for just that tag or category
+                history.pushState(null, null, '#blog');
+                clearFilterState();
+                filterState[kind].add(value);
+                applyFilters();
+                trackFilterChange();
+                handleRoute();
+            }
+            return;
+        }
+        
+        // Links such as "?category=cloud#blog"
+        const link = e.target.closest('a[href^="?"]');
+        if (link && !e.defaultPrevented && e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey) {
+            e.preventDefault();
+            history.pushState(null, null, link.getAttribute('href'));
+            readFiltersFromUrl();
+            applyFilters({ updateUrl: false });
+            handleRoute();
+        }
+    });
+    
+    // Back/forward between filtered views
+    window.addEventListener('popstate', () => {
+        readFiltersFromUrl();
+        applyFilters({ updateUrl: false });
+    });
+}
+
+/**
+ * Read the filters from the query string, ignoring tags and categories that don't exist
+ */
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    clearFilterState();
+    
+    const manifest = contentState.manifest;
+    if (!manifest) return;
+    
+    const tags = getAllTags(manifest.posts);
+    
+    params.getAll(FILTER_PARAMS.tag).forEach(value => {
+        // Tags in shared links are matched case-insensitively
+        const tag = tags.find(name => name.toLowerCase() === value.toLowerCase());
+        if (tag) filterState.tags.add(tag);
+    });
+    
+    params.getAll(FILTER_PARAMS.category).forEach(value => {
+        if (manifest.categories[value]) filterState.categories.add(value);
+    });
+    
+    filterState.match = params.get(FILTER_PARAMS.match) === 'any' ? 'any' : 'all';
+}
+
+/**
+ * Write the filters to the query string, keeping other parameters and the hash
+ */
+function writeFiltersToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    Object.values(FILTER_PARAMS).forEach(name => params.delete(name));
+    filterState.tags.forEach(tag => params.append(FILTER_PARAMS.tag, tag));
+    filterState.categories.forEach(category => params.append(FILTER_PARAMS.category, category));
+    
+    if (hasActiveFilters() && filterState.match !== 'all') {
+        params.set(FILTER_PARAMS.match, filterState.match);
+    }
+    
+    const query = params.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+}
+
+/**
+ * Add or remove a tag or category filter
+ */
+function toggleFilter(kind, value) {
+    const values = filterState[kind];
+    
+    if (values.has(value)) {
+        values.delete(value);
+    } else {
+        values.add(value);
+    }
+    
+    applyFilters();
+    trackFilterChange();
+}
+
+/**
+ * Switch between matching all or any of the filters
+ */
+function setFilterMatch(match) {
+    filterState.match = match === 'any' ? 'any' : 'all';
+    applyFilters();
+    trackFilterChange();
+}
+
+/**
+ * Remove every filter
+ */
+function clearFilters() {
+    clearFilterState();
+    applyFilters();
+    announceToScreenReader(t('filters.cleared'));
+}
+
+/**
+ * Reset the filter state without rendering
+ */
+function clearFilterState() {
+    filterState.tags.clear();
+    filterState.categories.clear();
+    filterState.match = 'all';
+}
+
+/**
+ * Whether any tag or category is selected
+ */
+function hasActiveFilters() {
+    return filterState.tags.size > 0 || filterState.categories.size > 0;
+}
+
+/**
+ * Posts matching a filter state
+ */
+function filterPosts(posts, state = filterState) {
+    const { tags, categories, match } = state;
+    if (!tags.size && !categories.size) return posts;
+    
+    return posts.filter(post => {
+        const inCategory = categories.has(post.category);
+        
+        if (match === 'any') {
+            return inCategory || post.tags.some(tag => tags.has(tag));
+        }
+        
+        return (!categories.size || inCategory) && [...tags].every(tag => post.tags.includes(tag));
+    });
+}
+
+/**
+ * Every tag used by the posts, most used first
+ */
+function getAllTags(posts) {
+    const counts = new Map();
+    
+    posts.forEach(post => post.tags.forEach(tag => {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+    }));
+    
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+}
+
+/**
+ * Number of posts shown if a facet were selected (or still shown while it is selected)
+ */
+function getFacetCount(posts, kind, value) {
+    const values = filterState[kind];
+    
+    if (values.has(value)) {
+        const key = kind === 'tags' ? 'tags' : 'category';
+        return filterPosts(posts).filter(post => [].concat(post[key]).includes(value)).length;
+    }
+    
+    const state = { ...filterState, [kind]: new Set(values).add(value) };
+    return filterPosts(posts, state).length;
+}
+
+/**
+ * Update the URL, the posts grid and the filter controls
+ */
+function applyFilters({ updateUrl = true } = {}) {
+    const manifest = contentState.manifest;
+    if (!manifest) return;
+    
+    if (updateUrl) {
+        writeFiltersToUrl();
+    }
+    
+    const grid = document.querySelector('[data-content="posts"]');
+    if (grid) {
+        renderFeaturedPosts(grid, manifest);
+    }
+    
+    updateFilterControls(manifest);
+}
+
+/**
+ * Featured posts, or every matching post while filters are active
+ */
+function renderFeaturedPosts(grid, manifest) {
+    if (!hasActiveFilters()) {
+        renderPostsGrid(grid, manifest.posts.slice(0, CONFIG.content.featuredPosts), manifest.categories);
+        return;
+    }
+    
+    const posts = filterPosts(manifest.posts);
+    
+    if (!posts.length) {
+        grid.replaceChildren(createElement('div', { className: 'filter-empty' }, [
+            createElement('p', {}, t('filters.none')),
+            createElement('button', { type: 'button', className: 'btn-outline', onClick: clearFilters }, t('filters.clear'))
+        ]));
+        return;
+    }
+    
+    renderPostsGrid(grid, posts, manifest.categories, { limitOnMobile: false });
+}
+
+/**
+ * Build the category, tag and match controls
+ */
+function renderFilterControls(container, manifest) {
+    const createFacet = (kind, value, label) => createElement('button', {
+        type: 'button',
+        className: 'filter-chip',
+        'aria-pressed': 'false',
+        dataset: kind === 'tags' ? { filterTag: value } : { filterCategory: value }
+    }, [
+        label,
+        createElement('span', { className: 'filter-count' })
+    ]);
+    
+    const createMatchOption = (value, label) => createElement('label', { className: 'filter-match-option' }, [
+        createElement('input', {
+            type: 'radio',
+            name: 'filterMatch',
+            value,
+            onChange: () => setFilterMatch(value)
+        }),
+        createElement('span', { dataset: { i18n: label } })
+    ]);
+    
+    container.replaceChildren(
+        createElement('div', { className: 'filter-group', role: 'group', 'aria-labelledby': 'filterCategoriesLabel' }, [
+            createElement('span', { className: 'filter-label', id: 'filterCategoriesLabel', dataset: { i18n: 'filters.categories' } }),
+            ...Object.entries(manifest.categories).map(([key, category]) => createFacet('categories', key, category.name))
+        ]),
+        createElement('div', { className: 'filter-group', role: 'group', 'aria-labelledby': 'filterTagsLabel' }, [
+            createElement('span', { className: 'filter-label', id: 'filterTagsLabel', dataset: { i18n: 'filters.tags' } }),
+            ...getAllTags(manifest.posts).map(tag => createFacet('tags', tag, tag))
+        ]),
+        createElement('div', { className: 'filter-summary' }, [
+            createElement('fieldset', { className: 'filter-match' }, [
+                createElement('legend', { className: 'filter-label', dataset: { i18n: 'filters.match' } }),
+                createMatchOption('all', 'filters.matchAll'),
+                createMatchOption('any', 'filters.matchAny')
+            ]),
+            createElement('p', { className: 'filter-status', id: 'filterStatus', role: 'status' }),
+            createElement('button', {
+                type: 'button',
+                className: 'link-button filter-clear',
+                dataset: { i18n: 'filters.clear' },
+                onClick: clearFilters
+            })
+        ])
+    );
+    
+    translateElements(container);
+    container.hidden = false;
+}
+
+/**
+ * Sync pressed states, counts and the result summary with the filter state
+ */
+function updateFilterControls(manifest) {
+    const container = document.getElementById('postFilters');
+    if (!container || container.hidden) return;
+    
+    container.querySelectorAll('.filter-chip').forEach(chip => {
+        const kind = chip.dataset.filterTag !== undefined ? 'tags' : 'categories';
+        const value = kind === 'tags' ? chip.dataset.filterTag : chip.dataset.filterCategory;
+        const active = filterState[kind].has(value);
+        const count = getFacetCount(manifest.posts, kind, value);
+        
+        chip.setAttribute('aria-pressed', String(active));
+        chip.disabled = !active && count === 0;
+        chip.querySelector('.filter-count').textContent = formatNumber(count);
+    });
+    
+    container.querySelectorAll('input[name="filterMatch"]').forEach(input => {
+        input.checked = input.value === filterState.match;
+    });
+    
+    const active = hasActiveFilters();
+    const total = manifest.posts.length;
+    const shown = filterPosts(manifest.posts).length;
+    
+    container.querySelector('.filter-match').disabled = !active;
+    container.querySelector('.filter-clear').hidden = !active;
+    container.querySelector('#filterStatus').textContent = active
+        ? t('filters.showing', { shown, count: total })
+        : t('filters.total', { count: total });
+}
+
+/**
+ * Move focus to the filter control of a tag or category
+ */
+function focusFilterChip(kind, value) {
+    const chip = [...document.querySelectorAll('#postFilters .filter-chip')].find(element => (
+        kind === 'tags' ? element.dataset.filterTag === value : element.dataset.filterCategory === value
+    ));
+    
+    if (chip) {
+        chip.focus();
+    }
+}
+
+/**
+ * Report filter usage (facet names only)
+ */
+function trackFilterChange() {
+    if (!contentState.manifest) return;
+    
+    trackEvent('filter_posts', {
+        tags: [...filterState.tags],
+        categories: [...filterState.categories],
+        match: filterState.match,
+        results: filterPosts(contentState.manifest.posts).length
+    });
+}
+
+// ============================================
+// ROUTER
+// ============================================
+
+// Head elements kept in sync with the current route
+const PAGE_META = {
+    description: 'meta[name="description"]',
+    robots: 'meta[name="robots"]',
+    ogTitle: 'meta[property="og:title"]',
+    ogDescription: 'meta[property="og:description"]',
+    ogUrl: 'meta[property="og:url"]',
+    twitterTitle: 'meta[property="twitter:title"]',
+    twitterDescription: 'meta[property="twitter:description"]',
+    twitterUrl: 'meta[property="twitter:url"]'
+};
+
+// Query parameter of crawlable links to routes: "?view=post1" opens "#post1". Search
+// engines drop the hash, so canonical links and the sitemap use this form (see seo.js)
+const ROUTE_PARAM = 'view';
+
+const routes = [];
+
+const routerState = {
+    view: 'home',
+    key: '',
+    defaults: null,
+    renderId: 0
+};
+
+/**
+ * Register a hash route
+ * The pattern is matched against the hash without its "#"; named groups are passed
+ * to the handler, which resolves to a page or to null for "not found"
+ */
+function registerRoute(pattern, handler) {
+    routes.push({ pattern, handler });
+}
+
+/**
+ * Render the route of the initial URL
+ */
+function initRouter() {
+    if (!document.getElementById('routeView')) return;
+    
+    routerState.defaults = getPageMeta();
+    readRouteParam();
+    
+    // The browser already scrolls to section anchors on load
+    const path = getRoutePath();
+    if (path && !getSectionTarget(path)) {
+        handleRoute({ initial: true });
+    }
+    
+    // Render the open page again in the new language, where the reader left it
+    document.addEventListener('locale:change', () => {
+        if (routerState.view !== 'home') {
+            handleRoute({ refresh: true });
+        }
+    });
+}
+
+/**
+ * Turn a crawlable "?view=" link into the hash route it stands for
+ * A hash in the URL wins, since it is where the reader navigated to
+ */
+function readRouteParam() {
+    const params = new URLSearchParams(window.location.search);
+    const path = params.get(ROUTE_PARAM);
+    if (path === null) return;
+    
+    params.delete(ROUTE_PARAM);
+    const query = params.toString();
+    const hash = window.location.hash || (path ? `#${path}` : '');
+    
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${hash}`);
+}
+
+/**
+ * Current route path (the hash without "#")
+ */
+function getRoutePath() {
+    try {
+        return decodeURIComponent(window.location.hash.slice(1));
+    } catch (error) {
+        return window.location.hash.slice(1);
+    }
+}
+
+/**
+ * Element of the home page an anchor points at, if any
+ */
+function getSectionTarget(path) {
+    const target = path ? document.getElementById(path) : null;
+    return target && !target.closest('#routeView') ? target : null;
+}
+
+/**
+ * Show the view for the current URL
+ * @param {Object} [options]
+ * @param {boolean} [options.initial] - First page load: no focus move or page view
+ * @param {boolean} [options.refresh] - Re-render the current page in place (e.g. after a
+ *   language change): scroll position and focus are kept and nothing is announced
+ */
+async function handleRoute({ initial = false, refresh = false } = {}) {
+    const path = getRoutePath();
+    const section = getSectionTarget(path);
+    
+    if (!path || section) {
+        showHomeView({ section, initial });
+        return;
+    }
+    
+    let params = null;
+    const route = routes.find(({ pattern }) => {
+        const match = path.match(pattern);
+        params = match ? { ...match.groups } : null;
+        return match;
+    });
+    
+    let key = params && params.anchor ? path.slice(0, -(params.anchor.length + 1)) : path;
+    
+    // Heading anchors within the article that is already open
+    if (!refresh && routerState.view !== 'home' && routerState.key === key) {
+        const heading = document.getElementById(path);
+        if (heading) smoothScrollTo(heading);
+        return;
+    }
+    
+    const renderId = ++routerState.renderId;
+    const view = document.getElementById('routeView');
+    const scrollY = window.scrollY;
+    
+    setHomeVisible(false);
+    view.setAttribute('aria-busy', 'true');
+    
+    let page;
+    try {
+        page = route ? await route.handler(params) : null;
+    } catch (error) {
+        console.error('Failed to render route:', error);
+        page = createErrorPage();
+    }
+    
+    // A newer navigation started while this one was loading
+    if (renderId !== routerState.renderId) return;
+    
+    // Handlers may rewrite the URL (newsletter links drop their tokens)
+    const renderedPath = getRoutePath();
+    if (renderedPath !== path) key = renderedPath;
+    
+    if (!page) {
+        page = createNotFoundPage(path);
+    }
+    
+    view.replaceChildren(page.content);
+    view.removeAttribute('aria-busy');
+    routerState.view = page.view;
+    routerState.key = key;
+    
+    setPageMeta({
+        title: `${page.title} | ${CONFIG.content.siteName}`,
+        description: page.description || routerState.defaults.description,
+        url: page.view === 'not-found' ? routerState.defaults.url : getCanonicalUrl(key),
+        robots: page.view === 'not-found' ? 'noindex' : routerState.defaults.robots
+    });
+    setActiveNavLink(page.section || '');
+    
+    const heading = params && params.anchor ? document.getElementById(path) : null;
+    if (refresh) {
+        window.scrollTo(0, scrollY);
+    } else if (heading) {
+        smoothScrollTo(heading);
+    } else {
+        window.scrollTo(0, 0);
+        
+        // Move focus to the new content, except on the first page load
+        if (!initial) {
+            const title = view.querySelector('h1');
+            title.setAttribute('tabindex', '-1');
+            title.focus({ preventScroll: true });
+        }
+    }
+    
+    if (!refresh) {
+        announceToScreenReader(page.title);
+    }
+    
+    if (!initial && !refresh) {
+        trackPageView();
+    }
+    
+    document.dispatchEvent(new CustomEvent('route:change', {
+        detail: { path: renderedPath, view: page.view, entry: page.entry || null, refresh }
+    }));
+}
+
+/**
+ * Go back to the home page sections
+ */
+function showHomeView({ section = null, initial = false } = {}) {
+    const wasHome = routerState.view === 'home';
+    
+    if (!wasHome) {
+        routerState.renderId++;
+        routerState.view = 'home';
+        routerState.key = '';
+        
+        const view = document.getElementById('routeView');
+        view.replaceChildren();
+        setHomeVisible(true);
+        setPageMeta(routerState.defaults);
+        
+        if (!initial) {
+            trackPageView();
+        }
+        
+        document.dispatchEvent(new CustomEvent('route:change', {
+            detail: { path: getRoutePath(), view: 'home', entry: null }
+        }));
+    }
+    
+    if (section) {
+        if (!initial) smoothScrollTo(section);
+    } else if (!wasHome) {
+        window.scrollTo(0, 0);
+    }
+}
+
+/**
+ * Toggle between the home page sections and the route view
+ */
+function setHomeVisible(visible) {
+    document.getElementById('routeView').hidden = visible;
+    document.querySelectorAll('#main-content > section').forEach(section => {
+        section.hidden = !visible;
+    });
+}
+
+/**
+ * Canonical URL of a route, in the crawlable "?view=" form
+ */
+function getCanonicalUrl(path) {
+    const base = contentState.manifest && contentState.manifest.site.url
+        ? contentState.manifest.site.url
+        : routerState.defaults.url;
+    
+    const url = new URL(base);
+    url.hash = '';
+    url.search = '';
+    url.searchParams.set(ROUTE_PARAM, path);
+    return url.href;
+}
+
+/**
+ * Read the page title, meta tags and canonical link
+ */
+function getPageMeta() {
+    const canonical = document.querySelector('link[rel="canonical"]');
+    const description = document.querySelector(PAGE_META.description);
+    const robots = document.querySelector(PAGE_META.robots);
+    
+    return {
+        title: document.title,
+        description: description ? description.content : '',
+        url: canonical ? canonical.href : window.location.href.split('#')[0],
+        robots: robots ? robots.content : ''
+    };
+}
+
+/**
+ * Update the page title, meta tags and canonical link
+ */
+function setPageMeta({ title, description, url, robots }) {
+    const values = {
+        description,
+        robots,
+        ogTitle: title,
+        ogDescription: description,
+        ogUrl: url,
+        twitterTitle: title,
+        twitterDescription: description,
+        twitterUrl: url
+    };
+    
+    document.title = title;
+    
+    Object.entries(PAGE_META).forEach(([name, selector]) => {
+        const meta = document.querySelector(selector);
+        if (meta && values[name] !== undefined) {
+            meta.setAttribute('content', values[name]);
+        }
+    });
+    
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) {
+        canonical.setAttribute('href', url);
+    }
+}
+
+registerRoute(/^all-posts$/, renderArchivePage);
+registerRoute(/^reading-list$/, renderReadingListPage);
+registerRoute(/^newsletter(?:\/(?<action>confirm|unsubscribe)(?:\/(?<token>[\w-]+))?)?$/, renderNewsletterPage);
+registerRoute(/^(?<id>[\w-]+)(?:\/(?<anchor>[\w-]+))?$/, renderEntryPage);
+
+// ============================================
+// ARTICLE VIEWS
+// ============================================
+
+/**
+ * Page for a post or tutorial from the manifest
+ */
+async function renderEntryPage({ id }) {
+    const manifest = await loadContentManifest();
+    const entry = manifest.posts.concat(manifest.tutorials).find(item => item.id === id);
+    
+    if (!entry) return null;
+    
+    const body = entry.content ? await loadEntryBody(entry) : createElement('p', {}, entry.excerpt);
+    
+    return {
+        view: 'article',
+        section: entry.type === 'post' ? 'blog' : 'tutorials',
+        title: entry.title,
+        description: entry.excerpt,
+        entry,
+        content: createArticle(entry, body, manifest.categories)
+    };
+}
+
+/**
+ * Page shown for unknown routes
+ */
+function createNotFoundPage(path) {
+    return {
+        view: 'not-found',
+        title: t('page.notFound'),
+        content: createElement('div', { className: 'container route-page not-found' }, [
+            createElement('div', { className: 'section-header' }, [
+                createElement('p', { className: 'not-found-code', 'aria-hidden': 'true' }, '404'),
+                createElement('h1', {}, t('page.notFound')),
+                createElement('p', {}, t('page.notFoundText', { path }))
+            ]),
+            createElement('div', { className: 'not-found-actions' }, [
+                createElement('a', { href: '#home', className: 'btn-primary' }, t('page.home')),
+                createElement('a', { href: '#all-posts', className: 'btn-outline' }, t('page.allPosts')),
+                createElement('a', { href: '#search', className: 'btn-outline' }, t('page.search'))
+            ])
+        ])
+    };
+}
+
+/**
+ * Page shown when content can't be loaded (usually while offline)
+ */
+function createErrorPage() {
+    return {
+        view: 'error',
+        title: t('page.unavailable'),
+        content: createElement('div', { className: 'container route-page not-found' }, [
+            createElement('div', { className: 'section-header' }, [
+                createElement('h1', {}, t('page.unavailable')),
+                createElement('p', {}, t(navigator.onLine ? 'page.unavailableOnline' : 'page.unavailableOffline'))
+            ]),
+            createElement('div', { className: 'not-found-actions' }, [
+                createElement('button', {
+                    type: 'button',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        routerState.key = '';
+                        handleRoute();
+                    }
+                }, t('page.retry')),
+                createElement('a', { href: '#home', className: 'btn-outline' }, t('page.home'))
+            ])
+        ])
+    };
+}
+
+/**
+ * Fetch the Markdown or HTML body of an entry
+ */
+async function loadEntryBody(entry) {
+    const response = await fetch(entry.content);
+    
+    if (!response.ok) {
+        throw new Error(`Content request failed with status ${response.status}`);
+    }
+    
+    const source = await response.text();
+    return /\.(md|markdown)$/i.test(entry.content) ? renderMarkdown(source) : sanitizeHTML(source);
+}
+
+/**
+ * Full article template (schema.org BlogPosting microdata)
+ * @param {Post|Tutorial} entry
+ */
+function createArticle(entry, body, categories) {
+    const isPost = entry.type === 'post';
+    let badge;
+    
+    if (isPost) {
+        badge = createCategoryBadge(entry.category, categories[entry.category]);
+    } else {
+        const difficulty = DIFFICULTY_LEVELS[entry.difficulty];
+        badge = createElement('span', { className: `difficulty-badge ${difficulty.className}` }, t(difficulty.label));
+    }
+    
+    const articleBody = createElement('div', { className: 'article-body', itemprop: 'articleBody' }, body);
+    const toc = createTableOfContents(addHeadingAnchors(articleBody, entry.id));
+    
+    const backLink = isPost
+        ? createElement('a', { href: '#blog', className: 'article-back' }, t('article.backToPosts'))
+        : createElement('a', { href: '#tutorials', className: 'article-back' }, t('article.backToTutorials'));
+    
+    return createElement('article', {
+        className: toc ? 'container article-view has-toc' : 'container article-view',
+        itemscope: true,
+        itemtype: 'https://schema.org/BlogPosting',
+        dataset: { postId: entry.id }
+    }, [
+        createElement('header', { className: 'article-header' }, [
+            backLink,
+            createElement('div', { className: 'post-category' }, badge),
+            createElement('h1', { className: 'article-title', itemprop: 'headline' }, entry.title),
+            createElement('p', { className: 'article-excerpt', itemprop: 'description' }, entry.excerpt),
+            createElement('div', { className: 'post-meta' }, [
+                createElement('time', { datetime: entry.datePublished.slice(0, 10), itemprop: 'datePublished' },
+                    formatDate(entry.datePublished)),
+                isPost
+                    ? createElement('span', { className: 'read-time', itemprop: 'timeRequired' }, getReadTimeLabel(entry))
+                    : createElement('span', { className: 'tutorial-time' }, t('reading.duration', { count: entry.duration })),
+                createBookmarkButton(entry)
+            ]),
+            createElement('div', { className: 'post-tags' }, isPost
+                ? entry.tags.map(createTagButton)
+                : entry.tags.map(tag => createElement('span', { className: 'tag', itemprop: 'keywords' }, tag))
+            )
+        ]),
+        isPost ? createElement('figure', { className: 'article-image' },
+            createElement('img', {
+                src: entry.image.src,
+                alt: entry.image.alt,
+                width: 800,
+                height: 400,
+                itemprop: 'image'
+            })
+        ) : null,
+        toc ? createElement('div', { className: 'article-layout' }, [toc, articleBody]) : articleBody,
+        createElement('footer', { className: 'article-footer' }, [
+            createElement('meta', { itemprop: 'author', content: CONFIG.content.author }),
+            createElement('meta', { itemprop: 'publisher', content: CONFIG.content.publisher }),
+            backLink.cloneNode(true)
+        ])
+    ]);
+}
+
+/**
+ * Give h2/h3 headings slug ids ("post1/some-heading") and a permalink
+ * @returns {{ id: string, text: string, level: number, element: HTMLElement }[]} The headings in document order
+ */
+function addHeadingAnchors(container, prefix) {
+    const used = new Set();
+    
+    return [...container.querySelectorAll('h2, h3')].map(heading => {
+        const text = heading.textContent.trim();
+        const base = slugify(text) || 'section';
+        let slug = base;
+        for (let n = 2; used.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+        used.add(slug);
+        
+        heading.id = `${prefix}/${slug}`;
+        heading.appendChild(createElement('a', {
+            href: `#${prefix}/${slug}`,
+            className: 'heading-anchor',
+            'aria-label': t('article.headingLink', { heading: text })
+        }, '#'));
+        
+        return { id: heading.id, text, level: Number(heading.tagName[1]), element: heading };
+    });
+}
+
+/**
+ * Turn text into a URL-friendly slug
+ */
+function slugify(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// ============================================
+// TABLE OF CONTENTS
+// ============================================
+
+// Scroll-spy over the headings of the open article
+const tocState = {
+    spy: null
+};
+
+/**
+ * Table of contents for an article's h2/h3 headings (nested by level)
+ * @param {{ id: string, text: string, level: number }[]} headings - From addHeadingAnchors
+ * @returns {HTMLElement|null} Nothing for short articles
+ */
+function createTableOfContents(headings) {
+    if (headings.length < CONFIG.content.tocMinHeadings) return null;
+    
+    const list = createElement('ol', { className: 'toc-list' });
+    let sublist = null;
+    
+    headings.forEach(heading => {
+        const item = createElement('li', { className: 'toc-item' },
+            createElement('a', { href: `#${heading.id}`, className: 'toc-link' }, heading.text)
+        );
+        
+        // h3s nest under the preceding h2
+        if (heading.level === 3 && list.lastElementChild) {
+            if (!sublist) {
+                sublist = createElement('ol', { className: 'toc-list' });
+                list.lastElementChild.appendChild(sublist);
+            }
+            sublist.appendChild(item);
+        } else {
+            list.appendChild(item);
+            sublist = null;
+        }
+    });
+    
+    return createElement('nav', { className: 'article-toc no-print', 'aria-labelledby': 'tocTitle' }, [
+        createElement('h2', { className: 'article-toc-title', id: 'tocTitle' }, t('toc.title')),
+        list
+    ]);
+}
+
+/**
+ * Follow the heading being read while an article with a table of contents is open
+ */
+function updateTableOfContents() {
+    if (tocState.spy) {
+        tocState.spy.disconnect();
+        tocState.spy = null;
+    }
+    
+    const toc = document.querySelector('#routeView .article-toc');
+    if (!toc) return;
+    
+    const links = [...toc.querySelectorAll('.toc-link')];
+    const headings = links.map(link => document.getElementById(link.getAttribute('href').slice(1)));
+    
+    tocState.spy = createScrollSpy(headings, heading => {
+        links.forEach(link => {
+            const isActive = heading !== null && link.getAttribute('href') === `#${heading.id}`;
+            link.classList.toggle('active', isActive);
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    });
+}
+
+document.addEventListener('route:change', updateTableOfContents);
+
+// ============================================
+// READING PROGRESS
+// ============================================
+
+// Article being read; progress is the fraction of its body scrolled past
+const readingState = {
+    entry: null,
+    body: null,
+    words: 0,
+    progress: null
+};
+
+/**
+ * Initialize the progress bar, time remaining and saved reading positions
+ */
+function initReadingProgress() {
+    const header = document.querySelector('header');
+    if (!header || document.getElementById('readingProgress')) return;
+    
+    header.appendChild(createElement('div', {
+        className: 'reading-progress no-print',
+        id: 'readingProgress',
+        hidden: true
+    }, [
+        createElement('div', {
+            className: 'reading-progress-bar',
+            role: 'progressbar',
+            dataset: { i18nAriaLabel: 'progress.label' },
+            'aria-valuemin': '0',
+            'aria-valuemax': '100',
+            'aria-valuenow': '0'
+        }),
+        createElement('span', { className: 'reading-progress-label', 'aria-hidden': 'true' })
+    ]));
+    translateElements(header.lastElementChild);
+    
+    const savePosition = debounce(saveReadingPosition, CONFIG.reading.saveDelay);
+    
+    window.addEventListener('scroll', throttle(() => {
+        if (!readingState.entry) return;
+        updateReadingProgress();
+        savePosition();
+    }, 100), { passive: true });
+    window.addEventListener('resize', throttle(updateReadingProgress, 200));
+    window.addEventListener('pagehide', saveReadingPosition);
+    
+    document.addEventListener('route:change', handleReadingRoute);
+    document.addEventListener('locale:change', updateReadingProgress);
+}
+
+/**
+ * Start tracking when an article opens, stop when leaving it
+ */
+function handleReadingRoute(e) {
+    const { path, view, entry, refresh } = e.detail;
+    
+    // Keep the position of the article being left
+    saveReadingPosition();
+    
+    const body = view === 'article' ? document.querySelector('#routeView .article-body') : null;
+    
+    readingState.entry = body ? entry : null;
+    readingState.body = body;
+    readingState.words = body ? countWords(body.textContent) : 0;
+    readingState.progress = null;
+    
+    document.getElementById('readingProgress').hidden = !body;
+    if (!body) return;
+    
+    updateReadingProgress();
+    
+    // Links to a heading already say where to read from, and a re-render
+    // (language change) keeps the reader where they are
+    const saved = getReadingPosition(entry.id);
+    if (saved && path === entry.id && !refresh) {
+        showResumePrompt(saved.progress);
+    }
+}
+
+/**
+ * Fraction of the article body scrolled past (0 to 1)
+ */
+function getReadingProgress() {
+    const { start, distance } = getReadingBounds();
+    
+    if (distance <= 0) {
+        return window.scrollY >= start ? 1 : 0;
+    }
+    
+    return Math.min(1, Math.max(0, (window.scrollY - start) / distance));
+}
+
+/**
+ * Scroll offsets at which the body starts and stops scrolling past the header
+ */
+function getReadingBounds() {
+    const headerHeight = document.querySelector('header').offsetHeight;
+    const rect = readingState.body.getBoundingClientRect();
+    
+    return {
+        start: rect.top + window.scrollY - headerHeight,
+        distance: rect.height - (window.innerHeight - headerHeight)
+    };
+}
+
+/**
+ * Update the progress bar and the time remaining
+ */
+function updateReadingProgress() {
+    if (!readingState.body) return;
+    
+    const progress = getReadingProgress();
+    const percent = Math.round(progress * 100);
+    const label = formatTimeLeft(progress);
+    const container = document.getElementById('readingProgress');
+    const bar = container.querySelector('.reading-progress-bar');
+    
+    readingState.progress = progress;
+    
+    bar.style.setProperty('--reading-progress', progress);
+    bar.setAttribute('aria-valuenow', String(percent));
+    bar.setAttribute('aria-valuetext', t('progress.value', { percent: formatPercent(progress), remaining: label }));
+    container.querySelector('.reading-progress-label').textContent = label;
+}
+
+/**
+ * "N min left" for the unread part of the article
+ */
+function formatTimeLeft(progress) {
+    if (progress >= CONFIG.reading.finishedAt) return t('reading.finished');
+    
+    const minutes = Math.max(1, Math.ceil(readingState.words * (1 - progress) / CONFIG.reading.wordsPerMinute));
+    return t('reading.minLeft', { count: minutes });
+}
+
+/**
+ * Offer to scroll back to where the reader stopped last time
+ */
+function showResumePrompt(progress) {
+    const article = document.querySelector('#routeView .article-view');
+    const header = article ? article.querySelector('.article-header') : null;
+    if (!header) return;
+    
+    const message = readingState.entry.type === 'post' ? 'resume.post' : 'resume.tutorial';
+    
+    const prompt = createElement('div', { className: 'reading-resume no-print', role: 'region', 'aria-label': t('resume.label') }, [
+        createElement('p', {}, t(message, { percent: formatPercent(progress) })),
+        createElement('div', { className: 'reading-resume-actions' }, [
+            createElement('button', {
+                type: 'button',
+                className: 'btn btn-primary btn-small',
+                onClick: () => {
+                    prompt.remove();
+                    scrollToReadingProgress(progress);
+                }
+            }, t('resume.continue')),
+            createElement('button', {
+                type: 'button',
+                className: 'btn btn-ghost btn-small',
+                onClick: () => {
+                    prompt.remove();
+                    forgetReadingPosition(readingState.entry.id);
+                    
+                    const title = header.querySelector('h1');
+                    title.setAttribute('tabindex', '-1');
+                    title.focus();
+                }
+            }, t('resume.restart'))
+        ])
+    ]);
+    
+    header.after(prompt);
+}
+
+/**
+ * Scroll so the given fraction of the article has been read
+ */
+function scrollToReadingProgress(progress) {
+    const { start, distance } = getReadingBounds();
+    
+    window.scrollTo({
+        top: Math.round(start + progress * Math.max(0, distance)),
+        behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
+    
+    // Keep keyboard focus near the text being read
+    readingState.body.setAttribute('tabindex', '-1');
+    readingState.body.focus({ preventScroll: true });
+}
+
+/**
+ * Saved positions keyed by entry id: { progress, savedAt }
+ */
+function getReadingPositions() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.storage.readingPositions));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Saved position of an entry worth resuming from, if any
+ */
+function getReadingPosition(id) {
+    const saved = getReadingPositions()[id];
+    if (!saved || typeof saved.progress !== 'number') return null;
+    
+    const { minProgress, finishedAt } = CONFIG.reading;
+    return saved.progress >= minProgress && saved.progress < finishedAt ? saved : null;
+}
+
+/**
+ * Remember how far the current article has been read
+ * Finished articles are forgotten; barely started ones keep any earlier position
+ */
+function saveReadingPosition() {
+    const { entry, progress } = readingState;
+    if (!entry || progress === null) return;
+    
+    if (progress >= CONFIG.reading.finishedAt) {
+        forgetReadingPosition(entry.id);
+        return;
+    }
+    if (progress < CONFIG.reading.minProgress) return;
+    
+    const positions = getReadingPositions();
+    positions[entry.id] = { progress: Number(progress.toFixed(4)), savedAt: Date.now() };
+    
+    // Drop the oldest positions beyond the limit
+    const ids = Object.keys(positions).sort((a, b) => positions[b].savedAt - positions[a].savedAt);
+    ids.slice(CONFIG.reading.maxSavedPositions).forEach(id => delete positions[id]);
+    
+    try {
+        localStorage.setItem(CONFIG.storage.readingPositions, JSON.stringify(positions));
+    } catch (error) {
+        console.error('Failed to save reading position:', error);
+    }
+}
+
+/**
+ * Remove the saved position of an entry
+ */
+function forgetReadingPosition(id) {
+    const positions = getReadingPositions();
+    if (!(id in positions)) return;
+    
+    delete positions[id];
+    
+    try {
+        localStorage.setItem(CONFIG.storage.readingPositions, JSON.stringify(positions));
+    } catch (error) {
+        console.error('Failed to forget reading position:', error);
+    }
+}
+
+// ============================================
+// READING LIST (BOOKMARKS)
+// ============================================
+
+// Export file format; bump when the item shape changes
+const READING_LIST_EXPORT_VERSION = 1;
+
+// Saved entries keyed by id, mirrored from the IndexedDB "bookmarks" store
+const bookmarkState = {
+    items: new Map(),
+    ready: Promise.resolve()
+};
+
+/**
+ * Load the reading list and add its navigation link
+ */
+function initBookmarks() {
+    if (!('indexedDB' in window)) return;
+    
+    createReadingListLink();
+    document.addEventListener('click', handleBookmarkClick);
+    document.addEventListener('locale:change', updateBookmarkUI);
+    
+    bookmarkState.ready = runStoreOperation('bookmarks', 'readonly', store => store.getAll())
+        .then(items => {
+            items.forEach(item => bookmarkState.items.set(item.id, item));
+            updateBookmarkUI();
+            
+            // Offline copies live in versioned caches, so restore them after an update
+            precacheBookmarks(items);
+        })
+        .catch(error => {
+            console.error('Failed to load the reading list:', error);
+        });
+}
+
+/**
+ * Saved items, most recently saved first
+ */
+function getBookmarks() {
+    return [...bookmarkState.items.values()].sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Whether an entry is on the reading list
+ */
+function isBookmarked(id) {
+    return bookmarkState.items.has(id);
+}
+
+/**
+ * Reading list record for a post or tutorial
+ * @param {Post|Tutorial} entry
+ */
+function createBookmark(entry, savedAt = Date.now()) {
+    return {
+        id: entry.id,
+        type: entry.type,
+        title: entry.title,
+        excerpt: entry.excerpt,
+        content: entry.content || null,
+        image: entry.image ? entry.image.src : null,
+        savedAt
+    };
+}
+
+/**
+ * Add or remove an entry from the reading list
+ */
+async function toggleBookmark(id) {
+    const manifest = await loadContentManifest();
+    const entry = manifest.posts.concat(manifest.tutorials).find(item => item.id === id);
+    if (!entry) return;
+    
+    try {
+        if (isBookmarked(id)) {
+            await removeBookmark(id);
+            announceToScreenReader(t('bookmark.removed', { title: entry.title }));
+        } else {
+            await saveBookmarks([createBookmark(entry)]);
+            announceToScreenReader(t('bookmark.added', { title: entry.title }));
+        }
+    } catch (error) {
+        console.error('Failed to update the reading list:', error);
+        showToast(t('bookmark.failed'), 'error');
+        return;
+    }
+    
+    trackEvent(isBookmarked(id) ? 'bookmark_add' : 'bookmark_remove', { post_id: id });
+}
+
+/**
+ * Store items on the reading list (replacing any with the same id)
+ */
+async function saveBookmarks(items) {
+    await runStoreOperation('bookmarks', 'readwrite', store => {
+        items.forEach(item => store.put(item));
+    });
+    
+    items.forEach(item => bookmarkState.items.set(item.id, item));
+    updateBookmarkUI();
+    precacheBookmarks(items);
+}
+
+/**
+ * Take an item off the reading list
+ */
+async function removeBookmark(id) {
+    const item = bookmarkState.items.get(id);
+    
+    await runStoreOperation('bookmarks', 'readwrite', store => store.delete(id));
+    
+    bookmarkState.items.delete(id);
+    updateBookmarkUI();
+    
+    if (item) {
+        sendToServiceWorker({ type: 'UNCACHE_URLS', urls: getBookmarkUrls(item) });
+    }
+}
+
+/**
+ * Files needed to read a saved entry offline (the app shell is always cached)
+ */
+function getBookmarkUrls(item) {
+    return [item.content, item.image].filter(Boolean);
+}
+
+/**
+ * Ask the service worker to keep saved entries available offline
+ */
+function precacheBookmarks(items) {
+    const urls = items.flatMap(getBookmarkUrls);
+    if (urls.length) {
+        sendToServiceWorker({ type: 'CACHE_URLS', urls });
+    }
+}
+
+/**
+ * Bookmark toggle for a card or article
+ * @param {Post|Tutorial} entry
+ */
+function createBookmarkButton(entry) {
+    if (!('indexedDB' in window)) return null;
+    
+    const button = createElement('button', {
+        type: 'button',
+        className: 'bookmark-toggle',
+        'aria-label': t('bookmark.save', { title: entry.title }),
+        dataset: { bookmark: entry.id }
+    }, createIcon('bookmark', 18));
+    
+    updateBookmarkButton(button);
+    return button;
+}
+
+/**
+ * Sync a bookmark toggle with the reading list
+ */
+function updateBookmarkButton(button) {
+    const saved = isBookmarked(button.dataset.bookmark);
+    
+    button.setAttribute('aria-pressed', String(saved));
+    button.title = t(saved ? 'bookmark.saved' : 'bookmark.saveForLater');
+}
+
+/**
+ * Toggle bookmarks from any card or article
+ */
+function handleBookmarkClick(e) {
+    const button = e.target.closest('[data-bookmark]');
+    if (button) {
+        toggleBookmark(button.dataset.bookmark);
+    }
+}
+
+/**
+ * Navigation link to the reading list, with a count badge
+ */
+function createReadingListLink() {
+    const navLinks = document.querySelector('.nav-links');
+    if (!navLinks || document.getElementById('readingListLink')) return;
+    
+    navLinks.appendChild(createElement('li', {}, createElement('a', {
+        href: '#reading-list',
+        className: 'nav-link',
+        id: 'readingListLink'
+    }, [
+        createElement('span', { dataset: { i18n: 'nav.readingList' } }, t('nav.readingList')),
+        createElement('span', { className: 'nav-badge', 'aria-hidden': 'true', hidden: true }),
+        createElement('span', { className: 'visually-hidden nav-badge-label' })
+    ])));
+}
+
+/**
+ * Refresh the count badge, bookmark toggles and the open reading list page
+ */
+function updateBookmarkUI() {
+    const count = bookmarkState.items.size;
+    const link = document.getElementById('readingListLink');
+    
+    if (link) {
+        const badge = link.querySelector('.nav-badge');
+        badge.textContent = String(count);
+        badge.hidden = count === 0;
+        link.querySelector('.nav-badge-label').textContent = count ? ` ${t('nav.readingListCount', { count })}` : '';
+    }
+    
+    document.querySelectorAll('[data-bookmark]').forEach(updateBookmarkButton);
+    
+    if (routerState.view === 'reading-list') {
+        renderReadingList();
+    }
+}
+
+/**
+ * Reading list page
+ */
+async function renderReadingListPage() {
+    await bookmarkState.ready;
+    
+    const fileInput = createElement('input', {
+        type: 'file',
+        accept: '.json,application/json',
+        className: 'visually-hidden',
+        id: 'readingListImport',
+        tabindex: '-1',
+        onChange: (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) importBookmarks(file);
+        }
+    });
+    
+    const content = createElement('div', { className: 'container route-page reading-list' }, [
+        createElement('div', { className: 'section-header' }, [
+            createElement('h1', {}, t('readingList.title')),
+            createElement('p', {}, t('readingList.intro'))
+        ]),
+        createElement('div', { className: 'archive-toolbar reading-list-toolbar' }, [
+            createElement('button', {
+                type: 'button',
+                className: 'btn-outline btn-small',
+                id: 'readingListExport',
+                onClick: exportBookmarks
+            }, t('readingList.export')),
+            createElement('button', {
+                type: 'button',
+                className: 'btn-outline btn-small',
+                onClick: () => fileInput.click()
+            }, t('readingList.import')),
+            fileInput
+        ]),
+        createElement('div', { className: 'reading-list-items', id: 'readingListItems', tabindex: '-1' })
+    ]);
+    
+    renderReadingList(content);
+    
+    return {
+        view: 'reading-list',
+        section: 'reading-list',
+        title: t('readingList.title'),
+        description: t('readingList.description'),
+        content
+    };
+}
+
+/**
+ * Render the saved items (or an empty state)
+ */
+function renderReadingList(root = document) {
+    const container = root.querySelector('#readingListItems');
+    if (!container) return;
+    
+    const items = getBookmarks();
+    root.querySelector('#readingListExport').disabled = items.length === 0;
+    
+    if (!items.length) {
+        container.replaceChildren(createElement('div', { className: 'reading-list-empty' }, [
+            createElement('p', {}, t('readingList.empty')),
+            createElement('a', { href: '#blog', className: 'btn-primary' }, t('readingList.browse'))
+        ]));
+        return;
+    }
+    
+    container.replaceChildren(createElement('ol', { className: 'archive-items' }, items.map(item => (
+        createElement('li', { className: 'archive-item reading-list-item', dataset: { postId: item.id } }, [
+            createElement('time', { datetime: new Date(item.savedAt).toISOString() },
+                t('readingList.savedOn', { date: formatDate(item.savedAt, { month: 'short', day: 'numeric', year: 'numeric' }) })),
+            createElement('div', { className: 'archive-item-body' }, [
+                createElement('a', { href: `#${item.id}`, className: 'archive-title' }, item.title),
+                createElement('p', { className: 'archive-excerpt' }, item.excerpt)
+            ]),
+            createElement('div', { className: 'archive-meta' }, [
+                createElement('span', {}, t(item.type === 'tutorial' ? 'content.type.tutorial' : 'content.type.post')),
+                createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-ghost btn-small',
+                    'aria-label': t('readingList.removeLabel', { title: item.title }),
+                    onClick: () => removeReadingListItem(item)
+                }, t('readingList.remove'))
+            ])
+        ])
+    ))));
+}
+
+/**
+ * Remove an item from the reading list page, keeping focus in the list
+ */
+async function removeReadingListItem(item) {
+    const items = getBookmarks();
+    const index = items.findIndex(saved => saved.id === item.id);
+    
+    try {
+        await removeBookmark(item.id);
+    } catch (error) {
+        console.error('Failed to update the reading list:', error);
+        showToast(t('bookmark.failed'), 'error');
+        return;
+    }
+    
+    trackEvent('bookmark_remove', { post_id: item.id });
+    
+    // Focus the item that took its place, or the list itself once empty
+    const links = document.querySelectorAll('#readingListItems .archive-title');
+    const next = links[Math.min(index, links.length - 1)];
+    (next || document.getElementById('readingListItems')).focus();
+    
+    const toast = showToast(t('bookmark.removed', { title: item.title }), 'info', {
+        actions: [{ id: 'undo', label: t('toast.undo') }]
+    });
+    
+    if ((await toast.result) !== 'undo') return;
+    
+    try {
+        await saveBookmarks([item]);
+        trackEvent('bookmark_add', { post_id: item.id });
+    } catch (error) {
+        console.error('Failed to update the reading list:', error);
+        showToast(t('bookmark.failed'), 'error');
+    }
+}
+
+/**
+ * Download the reading list as a JSON file
+ */
+function exportBookmarks() {
+    const data = {
+        version: READING_LIST_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        items: getBookmarks()
+    };
+    
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+    const link = createElement('a', { href: url, download: 'devhubx-reading-list.json' });
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    trackEvent('reading_list_export', { count: data.items.length });
+}
+
+/**
+ * Merge a reading list exported from this site
+ * Entries are matched against posts.json, so unknown ids are skipped and details are current
+ */
+async function importBookmarks(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showToast(t('readingList.invalidFile'), 'error');
+        return;
+    }
+    
+    const imported = data && Array.isArray(data.items) ? data.items : null;
+    if (!imported) {
+        showToast(t('readingList.invalidFile'), 'error');
+        return;
+    }
+    
+    const manifest = await loadContentManifest();
+    const entries = new Map(manifest.posts.concat(manifest.tutorials).map(entry => [entry.id, entry]));
+    
+    const items = imported
+        .filter(item => item && typeof item.id === 'string' && entries.has(item.id) && !isBookmarked(item.id))
+        .map(item => createBookmark(entries.get(item.id), Number.isFinite(item.savedAt) ? item.savedAt : Date.now()));
+    
+    try {
+        await saveBookmarks(items);
+    } catch (error) {
+        console.error('Failed to import the reading list:', error);
+        showToast(t('readingList.importFailed'), 'error');
+        return;
+    }
+    
+    const skipped = imported.length - items.length;
+    const message = items.length
+        ? t('readingList.imported', { count: items.length })
+        : t('readingList.nothingImported');
+    
+    showToast(skipped && items.length ? `${message} ${t('readingList.skipped', { count: skipped })}` : message, items.length ? 'success' : 'info');
+    trackEvent('reading_list_import', { count: items.length });
+}
+
+// ============================================
+// POST ARCHIVE
+// ============================================
+
+// Archive sort orders (labels are i18n keys); date orders are grouped by year and month
+const ARCHIVE_SORTS = {
+    newest: {
+        label: 'archive.newest',
+        grouped: true,
+        compare: (a, b) => Date.parse(b.datePublished) - Date.parse(a.datePublished)
+    },
+    oldest: {
+        label: 'archive.oldest',
+        grouped: true,
+        compare: (a, b) => Date.parse(a.datePublished) - Date.parse(b.datePublished)
+    },
+    shortest: {
+        label: 'archive.shortest',
+        grouped: false,
+        compare: (a, b) => a.readTime - b.readTime || Date.parse(b.datePublished) - Date.parse(a.datePublished)
+    },
+    longest: {
+        label: 'archive.longest',
+        grouped: false,
+        compare: (a, b) => b.readTime - a.readTime || Date.parse(b.datePublished) - Date.parse(a.datePublished)
+    }
+};
+
+const archiveState = {
+    posts: [],
+    categories: {},
+    sort: 'newest',
+    visible: 0,
+    observer: null
+};
+
+/**
+ * Archive of every post ("#all-posts")
+ */
+async function renderArchivePage() {
+    const manifest = await loadContentManifest();
+    
+    archiveState.posts = manifest.posts;
+    archiveState.categories = manifest.categories;
+    // Re-rendering the open archive (language change) keeps the posts already loaded
+    archiveState.visible = routerState.view === 'list'
+        ? Math.max(archiveState.visible, CONFIG.content.archivePageSize)
+        : CONFIG.content.archivePageSize;
+    
+    const list = createElement('div', { className: 'archive-list', id: 'archiveList', tabindex: '-1' });
+    const loadMore = createElement('button', {
+        type: 'button',
+        className: 'btn-outline archive-load-more',
+        onClick: () => loadMoreArchivePosts({ moveFocus: true })
+    }, t('archive.loadMore'));
+    const sentinel = createElement('div', { className: 'archive-sentinel', 'aria-hidden': 'true' });
+    
+    const sortSelect = createElement('select', {
+        id: 'archiveSort',
+        onChange: (e) => setArchiveSort(e.target.value)
+    }, Object.entries(ARCHIVE_SORTS).map(([value, sort]) => createElement('option', {
+        value,
+        selected: value === archiveState.sort
+    }, t(sort.label))));
+    
+    const content = createElement('div', { className: 'container route-page archive' }, [
+        createElement('div', { className: 'section-header' }, [
+            createElement('h1', {}, t('archive.title')),
+            createElement('p', {}, t('archive.intro', { count: manifest.posts.length }))
+        ]),
+        createElement('div', { className: 'archive-toolbar' }, [
+            createElement('label', { for: 'archiveSort' }, t('archive.sortBy')),
+            sortSelect,
+            createElement('p', { className: 'archive-status', id: 'archiveStatus' })
+        ]),
+        list,
+        createElement('div', { className: 'view-all-container' }, loadMore),
+        sentinel
+    ]);
+    
+    renderArchiveList(content);
+    observeArchiveSentinel(sentinel);
+    
+    return {
+        view: 'list',
+        section: 'blog',
+        title: t('archive.title'),
+        description: t('archive.description', { site: manifest.site.title || CONFIG.content.siteName }),
+        content
+    };
+}
+
+/**
+ * Render the visible posts, grouped by year and month for date orders
+ */
+function renderArchiveList(root = document) {
+    const list = root.querySelector('#archiveList');
+    if (!list) return;
+    
+    const sort = ARCHIVE_SORTS[archiveState.sort];
+    const posts = archiveState.posts.slice().sort(sort.compare);
+    const visible = posts.slice(0, archiveState.visible);
+    
+    if (sort.grouped) {
+        list.replaceChildren(...groupPostsByMonth(visible).map(({ year, months }) => (
+            createElement('section', { className: 'archive-year', 'aria-labelledby': `archive-${year}` }, [
+                createElement('h2', { id: `archive-${year}` }, year),
+                ...months.map(({ month, posts: monthPosts }) => createElement('div', { className: 'archive-month' }, [
+                    createElement('h3', {}, [
+                        month,
+                        createElement('span', { className: 'archive-count' }, ` (${monthPosts.length})`)
+                    ]),
+                    createArchiveItems(monthPosts)
+                ]))
+            ])
+        )));
+    } else {
+        list.replaceChildren(createArchiveItems(visible));
+    }
+    
+    const remaining = posts.length - visible.length;
+    root.querySelector('.archive-load-more').hidden = remaining <= 0;
+    root.querySelector('#archiveStatus').textContent = t('archive.showing', { shown: visible.length, count: posts.length });
+}
+
+/**
+ * Group posts (already in order) into years and months
+ */
+function groupPostsByMonth(posts) {
+    const years = [];
+    
+    posts.forEach(post => {
+        const date = new Date(post.datePublished);
+        const year = String(date.getFullYear());
+        const month = formatDate(post.datePublished, { month: 'long' });
+        
+        let yearGroup = years[years.length - 1];
+        if (!yearGroup || yearGroup.year !== year) {
+            yearGroup = { year, months: [] };
+            years.push(yearGroup);
+        }
+        
+        let monthGroup = yearGroup.months[yearGroup.months.length - 1];
+        if (!monthGroup || monthGroup.month !== month) {
+            monthGroup = { month, posts: [] };
+            yearGroup.months.push(monthGroup);
+        }
+        
+        monthGroup.posts.push(post);
+    });
+    
+    return years;
+}
+
+/**
+ * Compact archive entries
+ */
+function createArchiveItems(posts) {
+    return createElement('ol', { className: 'archive-items' }, posts.map(post => createElement('li', {
+        className: 'archive-item',
+        dataset: { postId: post.id }
+    }, [
+        createElement('time', { datetime: post.datePublished.slice(0, 10) },
+            formatDate(post.datePublished, { month: 'short', day: 'numeric', year: 'numeric' })),
+        createElement('div', { className: 'archive-item-body' }, [
+            createElement('a', { href: `#${post.id}`, className: 'archive-title' }, post.title),
+            createElement('p', { className: 'archive-excerpt' }, post.excerpt)
+        ]),
+        createElement('div', { className: 'archive-meta' }, [
+            createCategoryBadge(post.category, archiveState.categories[post.category]),
+            createElement('span', { className: 'read-time' }, getReadTimeLabel(post))
+        ])
+    ])));
+}
+
+/**
+ * Show the next page of posts
+ * Focus moves to the first new post only when the user asked for more
+ */
+function loadMoreArchivePosts({ moveFocus = false } = {}) {
+    const total = archiveState.posts.length;
+    if (archiveState.visible >= total) return;
+    
+    const previous = archiveState.visible;
+    const focusedPost = document.activeElement && document.activeElement.closest('.archive-item');
+    const focusedId = focusedPost ? focusedPost.dataset.postId : null;
+    
+    archiveState.visible = Math.min(total, previous + CONFIG.content.archivePageSize);
+    renderArchiveList();
+    
+    // Keep focus where it was, or move it to the first newly loaded post
+    const sorted = archiveState.posts.slice().sort(ARCHIVE_SORTS[archiveState.sort].compare);
+    const targetId = moveFocus ? sorted[previous].id : focusedId;
+    const target = targetId ? document.querySelector(`#archiveList [data-post-id="${targetId}"] .archive-title`) : null;
+    if (target) {
+        target.focus();
+    } else if (moveFocus) {
+        document.getElementById('archiveList').focus();
+    }
+    
+    announceToScreenReader(t('archive.loaded', { count: archiveState.visible - previous, shown: archiveState.visible, total }));
+}
+
+/**
+ * Change the archive order
+ */
+function setArchiveSort(sort) {
+    if (!ARCHIVE_SORTS[sort]) return;
+    
+    archiveState.sort = sort;
+    renderArchiveList();
+    announceToScreenReader(t('archive.sorted', { sort: t(ARCHIVE_SORTS[sort].label) }));
+}
+
+/**
+ * Load more posts automatically when the end of the list scrolls into view
+ */
+function observeArchiveSentinel(sentinel) {
+    disconnectArchiveObserver();
+    
+    if (!('IntersectionObserver' in window)) return;
+    
+    archiveState.observer = new IntersectionObserver((entries, observer) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreArchivePosts();
+            
+            // Re-observe so a sentinel that is still in view triggers the next page
+            observer.unobserve(sentinel);
+            observer.observe(sentinel);
+        }
+    }, {
+        rootMargin: '200px 0px'
+    });
+    
+    archiveState.observer.observe(sentinel);
+}
+
+/**
+ * Stop watching the archive once it is left
+ */
+function disconnectArchiveObserver() {
+    if (archiveState.observer) {
+        archiveState.observer.disconnect();
+        archiveState.observer = null;
+    }
+}
+
+document.addEventListener('route:change', (e) => {
+    if (e.detail.path !== 'all-posts') {
+        disconnectArchiveObserver();
+    }
+});
+
+// ============================================
+// MARKDOWN & HTML FRAGMENTS
+// ============================================
+
+const MARKDOWN_BLOCK_START = /^(```|#{1,6}\s|>|\s*([-*+]|\d+\.)\s+)/;
+
+// `code`, ![image](src), [link](href), **strong**, *emphasis*
+const MARKDOWN_INLINE = /(`+)([^`]+?)\1|!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*/g;
+
+// Elements and attributes allowed in HTML content fragments
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'blockquote', 'br', 'code', 'del', 'em', 'figcaption', 'figure', 'h2', 'h3', 'h4',
+    'h5', 'h6', 'hr', 'img', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'small', 'strong', 'sub', 'sup',
+    'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'form', 'template', 'noscript']);
+const ALLOWED_ATTRIBUTES = new Set(['href', 'src', 'alt', 'title', 'class', 'width', 'height', 'colspan', 'rowspan', 'start']);
+
+/**
+ * Render a small Markdown subset to DOM nodes
+ * Headings, paragraphs, lists, blockquotes, fenced code and rules; raw HTML stays text
+ */
+function renderMarkdown(source) {
+    const fragment = document.createDocumentFragment();
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        
+        // Fenced code block
+        const fence = line.match(/^```\s*([\w+-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            fragment.appendChild(createElement('pre', {},
+                createElement('code', { className: fence[1] ? `language-${fence[1]}` : null }, code.join('\n'))
+            ));
+            continue;
+        }
+        
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+        if (heading) {
+            fragment.appendChild(createElement(`h${heading[1].length}`, {}, parseInlineMarkdown(heading[2])));
+            i++;
+            continue;
+        }
+        
+        if (/^([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            fragment.appendChild(createElement('hr'));
+            i++;
+            continue;
+        }
+        
+        if (/^>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^>/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            fragment.appendChild(createElement('blockquote', {}, renderMarkdown(quote.join('\n'))));
+            continue;
+        }
+        
+        const list = line.match(/^\s*([-*+]|\d+\.)\s+/);
+        if (list) {
+            const ordered = /\d/.test(list[1]);
+            const itemPattern = ordered ? /^\s*\d+\.\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+            const items = [];
+            
+            while (i < lines.length) {
+                const item = lines[i].match(itemPattern);
+                if (item) {
+                    items.push(item[1]);
+                } else if (/^\s{2,}\S/.test(lines[i])) {
+                    // Indented continuation of the previous item
+                    items[items.length - 1] += ` ${lines[i].trim()}`;
+                } else {
+                    break;
+                }
+                i++;
+            }
+            
+            fragment.appendChild(createElement(ordered ? 'ol' : 'ul', {},
+                items.map(item => createElement('li', {}, parseInlineMarkdown(item)))
+            ));
+            continue;
+        }
+        
+        // Paragraph: consecutive lines up to a blank line or another block
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !MARKDOWN_BLOCK_START.test(lines[i])) {
+            paragraph.push(lines[i++].trim());
+        }
+        fragment.appendChild(createElement('p', {}, parseInlineMarkdown(paragraph.join(' '))));
+    }
+    
+    return fragment;
+}
+
+/**
+ * Render inline Markdown to an array of nodes and strings
+ */
+function parseInlineMarkdown(text) {
+    const nodes = [];
+    let lastIndex = 0;
+    
+    text.replace(MARKDOWN_INLINE, (match, ticks, code, alt, src, label, href, strong, em, offset) => {
+        if (offset > lastIndex) {
+            nodes.push(text.slice(lastIndex, offset));
+        }
+        lastIndex = offset + match.length;
+        
+        if (code !== undefined) {
+            nodes.push(createElement('code', {}, code));
+        } else if (src !== undefined) {
+            nodes.push(isSafeUrl(src) ? createElement('img', { src, alt, loading: 'lazy' }) : alt);
+        } else if (href !== undefined) {
+            nodes.push(isSafeUrl(href) ? createElement('a', {
+                href,
+                target: isExternalUrl(href) ? '_blank' : null,
+                rel: isExternalUrl(href) ? 'noopener noreferrer' : null
+            }, parseInlineMarkdown(label)) : label);
+        } else if (strong !== undefined) {
+            nodes.push(createElement('strong', {}, parseInlineMarkdown(strong)));
+        } else {
+            nodes.push(createElement('em', {}, parseInlineMarkdown(em)));
+        }
+        return match;
+    });
+    
+    if (lastIndex < text.length) {
+        nodes.push(text.slice(lastIndex));
+    }
+    
+    return nodes;
+}
+
+/**
+ * Parse an HTML content fragment, keeping only an allowlist of elements and attributes
+ * The Trusted Types policy has cleaned the markup already where the browser supports it
+ */
+function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = trustedHTML(html);
+    cleanHTML(template.content);
+    
+    return template.content;
+}
+
+/**
+ * Remove everything outside the allowlist from parsed, inert markup
+ */
+function cleanHTML(root) {
+    root.querySelectorAll('*').forEach(element => {
+        const tag = element.localName;
+        
+        if (DROPPED_TAGS.has(tag)) {
+            element.remove();
+            return;
+        }
+        
+        if (!ALLOWED_TAGS.has(tag)) {
+            element.replaceWith(...element.childNodes);
+            return;
+        }
+        
+        [...element.attributes].forEach(({ name, value }) => {
+            const isUrl = name === 'href' || name === 'src';
+            if (!ALLOWED_ATTRIBUTES.has(name) || (isUrl && !isSafeUrl(value))) {
+                element.removeAttribute(name);
+            }
+        });
+        
+        if (tag === 'a' && isExternalUrl(element.getAttribute('href') || '')) {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+/**
+ * Only http(s), mailto and relative URLs are allowed in content
+ */
+function isSafeUrl(url) {
+    try {
+        const { protocol } = new URL(url, window.location.href);
+        return ['http:', 'https:', 'mailto:'].includes(protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether a URL points to another site
+ */
+function isExternalUrl(url) {
+    try {
+        const { protocol, origin } = new URL(url, window.location.href);
+        return protocol.startsWith('http') && origin !== window.location.origin;
+    } catch (error) {
+        return false;
+    }
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how',
+    'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with', 'your'
+]);
+
+// Documents and inverted index (term -> Map of document id -> weight)
+const searchState = {
+    documents: [],
+    index: new Map()
+};
+
+/**
+ * Initialize client-side search
+ */
+function initSearch(form) {
+    const searchInput = form.querySelector('input[type="search"]');
+    if (!searchInput) return;
+
+    buildSearchIndex();
+
+    // Live results while typing
+    searchInput.addEventListener('input', debounce(() => {
+        performSearch(searchInput.value.trim());
+    }, CONFIG.search.debounce));
+
+    // Escape clears the query and the results panel
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && searchInput.value) {
+            e.preventDefault();
+            searchInput.value = '';
+            performSearch('');
+        }
+    });
+
+    // Tutorials are indexed under their translated difficulty, and open results are re-rendered
+    document.addEventListener('locale:change', () => {
+        const results = document.getElementById('searchResults');
+        buildSearchIndex();
+        if (results && !results.hidden) {
+            performSearch(searchInput.value.trim());
+        }
+    });
+}
+
+/**
+ * Normalize text for indexing (lowercase, no diacritics)
+ */
+function normalizeSearchText(text) {
+    return text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Split text into searchable tokens
+ */
+function tokenize(text) {
+    return normalizeSearchText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !SEARCH_STOP_WORDS.has(token));
+}
+
+/**
+ * Get the collapsed text content of an element
+ */
+function getElementText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Collect searchable documents from the content manifest,
+ * or from the post and tutorial cards until it has loaded
+ */
+function collectSearchDocuments() {
+    const { manifest } = contentState;
+    
+    // Filtered grids only show some of the posts, so prefer the manifest
+    if (manifest) {
+        return manifest.posts.map(post => ({
+            type: 'post',
+            title: post.title,
+            excerpt: post.excerpt,
+            tags: post.tags,
+            category: manifest.categories[post.category].name,
+            url: `#${post.id}`,
+            date: post.datePublished.slice(0, 10)
+        })).concat(manifest.tutorials.map(tutorial => ({
+            type: 'tutorial',
+            title: tutorial.title,
+            excerpt: tutorial.steps.join(' · '),
+            tags: tutorial.tags,
+            category: t(DIFFICULTY_LEVELS[tutorial.difficulty].label),
+            url: `#${tutorial.id}`,
+            date: tutorial.datePublished.slice(0, 10)
+        })));
+    }
+    
+    const posts = Array.from(document.querySelectorAll('article.post-card')).map(card => {
+        const link = card.querySelector('.post-title a');
+        const time = card.querySelector('time');
+
+        return {
+            type: 'post',
+            title: getElementText(card.querySelector('.post-title')),
+            excerpt: getElementText(card.querySelector('.post-excerpt')),
+            tags: Array.from(card.querySelectorAll('.tag')).map(getElementText),
+            category: getElementText(card.querySelector('.category-badge')),
+            url: link ? link.getAttribute('href') : '#blog',
+            date: time ? time.getAttribute('datetime') : null
+        };
+    });
+
+    const tutorials = Array.from(document.querySelectorAll('.tutorial-card')).map(card => {
+        const link = card.querySelector('.tutorial-link');
+        const steps = Array.from(card.querySelectorAll('.tutorial-steps li')).map(getElementText);
+
+        return {
+            type: 'tutorial',
+            title: getElementText(card.querySelector('h3')),
+            excerpt: steps.join(' · '),
+            tags: [],
+            category: getElementText(card.querySelector('.difficulty-badge')),
+            url: link ? link.getAttribute('href') : '#tutorials',
+            date: null
+        };
+    });
+
+    return posts.concat(tutorials);
+}
+
+/**
+ * Build the inverted search index from the page content
+ */
+function buildSearchIndex() {
+    const { weights } = CONFIG.search;
+    const index = new Map();
+    const documents = collectSearchDocuments();
+
+    documents.forEach((doc, docId) => {
+        const fields = {
+            title: doc.title,
+            tags: doc.tags.join(' '),
+            category: doc.category,
+            excerpt: doc.excerpt
+        };
+
+        Object.entries(fields).forEach(([field, text]) => {
+            tokenize(text).forEach(term => {
+                if (!index.has(term)) {
+                    index.set(term, new Map());
+                }
+                const postings = index.get(term);
+                postings.set(docId, (postings.get(docId) || 0) + weights[field]);
+            });
+        });
+    });
+
+    searchState.documents = documents;
+    searchState.index = index;
+}
+
+/**
+ * Rank documents against a query
+ * Exact term matches score higher than prefix matches, and documents
+ * matching more of the query terms always rank first
+ */
+function searchDocuments(query) {
+    const queryTokens = Array.from(new Set(tokenize(query)));
+    const matches = new Map();
+
+    queryTokens.forEach(queryToken => {
+        searchState.index.forEach((postings, term) => {
+            let factor = 0;
+            if (term === queryToken) {
+                factor = 1;
+            } else if (term.startsWith(queryToken)) {
+                factor = 0.5;
+            }
+            if (!factor) return;
+
+            postings.forEach((weight, docId) => {
+                const match = matches.get(docId) || { score: 0, tokens: new Set() };
+                match.score += weight * factor;
+                match.tokens.add(queryToken);
+                matches.set(docId, match);
+            });
+        });
+    });
+
+    return Array.from(matches, ([docId, match]) => ({
+        document: searchState.documents[docId],
+        score: match.score,
+        matchedTokens: match.tokens.size
+    }))
+        .sort((a, b) => b.matchedTokens - a.matchedTokens || b.score - a.score)
+        .slice(0, CONFIG.search.maxResults);
+}
+
+/**
+ * Wrap words starting with any of the query tokens in <mark> elements
+ */
+function highlightMatches(text, queryTokens) {
+    const fragment = document.createDocumentFragment();
+
+    if (!queryTokens.length) {
+        fragment.append(text);
+        return fragment;
+    }
+
+    const pattern = new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${queryTokens.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`,
+        'giu'
+    );
+    let lastIndex = 0;
+
+    text.replace(pattern, (match, offset) => {
+        fragment.append(text.slice(lastIndex, offset), createElement('mark', {}, match));
+        lastIndex = offset + match.length;
+        return match;
+    });
+    fragment.append(text.slice(lastIndex));
+
+    return fragment;
+}
+
+/**
+ * Run a search and render the results panel
+ */
+function performSearch(query) {
+    if (query.length < CONFIG.search.minQueryLength) {
+        renderSearchResults('', []);
+        return [];
+    }
+
+    if (!searchState.documents.length) {
+        buildSearchIndex();
+    }
+
+    const results = searchDocuments(query);
+    renderSearchResults(query, results);
+    return results;
+}
+
+/**
+ * Render search results below the search form
+ */
+function renderSearchResults(query, results) {
+    const container = document.getElementById('searchResults');
+    if (!container) return;
+
+    container.replaceChildren();
+
+    if (!query) {
+        container.hidden = true;
+        return;
+    }
+
+    const queryTokens = tokenize(query);
+    const summary = results.length
+        ? t('search.results', { count: results.length, query })
+        : t('search.noResults', { query });
+
+    container.hidden = false;
+    container.append(createElement('p', { className: 'search-summary' }, summary));
+
+    if (!results.length) {
+        container.append(createElement('p', { className: 'search-hint' }, t('search.hint')));
+    } else {
+        const list = createElement('ol', { className: 'search-results-list' },
+            results.map(({ document: doc }) => createElement('li', { className: 'search-result' }, [
+                createElement('a', { className: 'search-result-title', href: doc.url },
+                    highlightMatches(doc.title, queryTokens)),
+                createElement('p', { className: 'search-result-meta' }, [
+                    t(doc.type === 'tutorial' ? 'content.type.tutorial' : 'content.type.post'),
+                    doc.category ? ' · ' : null,
+                    doc.category ? highlightMatches(doc.category, queryTokens) : null
+                ]),
+                createElement('p', { className: 'search-result-excerpt' },
+                    highlightMatches(doc.excerpt, queryTokens)),
+                doc.tags.length ? createElement('div', { className: 'post-tags' },
+                    doc.tags.map(tag => createElement('span', { className: 'tag' },
+                        highlightMatches(tag, queryTokens)))) : null
+            ]))
+        );
+        container.append(list);
+    }
+
+    announceToScreenReader(summary);
+}
+
+// ============================================
+// TOAST NOTIFICATIONS
+// ============================================
+
+// Types by importance: when the stack is full, a more important toast takes the
+// place of a less important one, which goes back to the queue until there is room
+const TOAST_TYPES = {
+    error: { priority: 3, role: 'alert' },
+    warning: { priority: 2, role: 'alert' },
+    success: { priority: 1, role: 'status' },
+    info: { priority: 0, role: 'status' }
+};
+
+const TOAST_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+
+// Toasts on screen (oldest first) and waiting (most important first)
+const toastState = {
+    nextId: 1,
+    visible: [],
+    queue: [],
+    region: null,
+    hovered: false,
+    focused: false
+};
+
+/**
+ * @typedef {Object} ToastAction
+ * @property {string} id - Value the toast's result resolves with
+ * @property {string} label - Button text
+ */
+
+/**
+ * @typedef {Object} ToastHandle
+ * @property {number} id
+ * @property {Promise<string>} result - Resolves with the id of the action chosen,
+ *   "dismiss" when closed, or "timeout" when it expired
+ * @property {() => void} dismiss
+ */
+
+/**
+ * Show toast notification
+ * Toasts stack up to CONFIG.toast.maxVisible and wait in a queue beyond that;
+ * timers pause while the pointer or focus is on a toast
+ * @param {string} message
+ * @param {'info'|'success'|'warning'|'error'} [type]
+ * @param {Object} [options]
+ * @param {ToastAction[]} [options.actions] - Buttons such as "Retry" or "Undo"
+ * @param {number} [options.duration] - Milliseconds before it hides; 0 keeps it until dismissed
+ * @param {number} [options.priority] - Overrides the priority of the type
+ * @returns {ToastHandle}
+ */
+function showToast(message, type = 'info', options = {}) {
+    if (!TOAST_TYPES[type]) type = 'info';
+    
+    const actions = options.actions || [];
+    
+    // The same message again restarts the toast already shown instead of stacking a copy
+    const duplicate = actions.length ? null : toastState.visible.concat(toastState.queue).find(toast => (
+        toast.message === message && toast.type === type && !toast.actions.length
+    ));
+    if (duplicate) {
+        restartToastTimer(duplicate);
+        return duplicate.handle;
+    }
+    
+    const toast = {
+        id: toastState.nextId++,
+        message,
+        type,
+        actions,
+        priority: options.priority !== undefined ? options.priority : TOAST_TYPES[type].priority,
+        duration: options.duration !== undefined
+            ? options.duration
+            : (actions.length ? CONFIG.toast.actionDuration : CONFIG.toast.duration),
+        remaining: 0,
+        startedAt: 0,
+        timer: null,
+        element: null,
+        returnFocus: null
+    };
+    
+    toast.remaining = toast.duration;
+    toast.result = new Promise(resolve => {
+        toast.resolve = resolve;
+    });
+    toast.handle = {
+        id: toast.id,
+        result: toast.result,
+        dismiss: () => dismissToast(toast, 'dismiss')
+    };
+    
+    queueToast(toast);
+    showQueuedToasts();
+    
+    return toast.handle;
+}
+
+/**
+ * Add a toast to the queue after others of the same or higher priority
+ * @param {boolean} [first] - Before others of the same priority (a toast moved off screen)
+ */
+function queueToast(toast, first = false) {
+    const index = toastState.queue.findIndex(queued => (
+        first ? queued.priority <= toast.priority : queued.priority < toast.priority
+    ));
+    
+    toastState.queue.splice(index === -1 ? toastState.queue.length : index, 0, toast);
+}
+
+/**
+ * Move queued toasts on screen while there is room, or while they outrank a visible one
+ */
+function showQueuedToasts() {
+    while (toastState.queue.length) {
+        const next = toastState.queue[0];
+        
+        if (toastState.visible.length < CONFIG.toast.maxVisible) {
+            toastState.queue.shift();
+            displayToast(next);
+            continue;
+        }
+        
+        const lowest = toastState.visible.reduce((low, toast) => (toast.priority < low.priority ? toast : low));
+        if (next.priority <= lowest.priority) break;
+        
+        // Comes back with the time it had left
+        stopToastTimer(lowest);
+        toastState.visible.splice(toastState.visible.indexOf(lowest), 1);
+        removeToastElement(lowest, { animate: false });
+        queueToast(lowest, true);
+    }
+}
+
+/**
+ * Container for the toast stack, placed according to CONFIG.toast.position
+ */
+function getToastRegion() {
+    if (toastState.region && toastState.region.isConnected) {
+        return toastState.region;
+    }
+    
+    const position = TOAST_POSITIONS.includes(CONFIG.toast.position) ? CONFIG.toast.position : 'bottom-center';
+    const region = createElement('div', {
+        className: 'toast-region no-print',
+        dataset: { position }
+    });
+    
+    // Hovering or focusing any toast pauses them all
+    region.addEventListener('mouseenter', () => setToastsPaused('hovered', true));
+    region.addEventListener('mouseleave', () => setToastsPaused('hovered', false));
+    region.addEventListener('focusin', () => setToastsPaused('focused', true));
+    region.addEventListener('focusout', (e) => {
+        if (!region.contains(e.relatedTarget)) setToastsPaused('focused', false);
+    });
+    
+    document.body.appendChild(region);
+    toastState.region = region;
+    return region;
+}
+
+/**
+ * Toast element with its message, actions and close button
+ */
+function createToastElement(toast) {
+    const element = createElement('div', {
+        className: `toast ${toast.type}`,
+        role: TOAST_TYPES[toast.type].role,
+        'aria-atomic': 'true',
+        dataset: { toastId: toast.id }
+    }, createElement('div', { className: 'toast-content' }, [
+        createElement('span', { className: 'toast-message' }, toast.message),
+        toast.actions.length ? createElement('div', { className: 'toast-actions' }, toast.actions.map(action => (
+            createElement('button', {
+                type: 'button',
+                className: 'toast-action',
+                onClick: () => dismissToast(toast, action.id)
+            }, action.label)
+        ))) : null,
+        createElement('button', {
+            type: 'button',
+            className: 'toast-close',
+            'aria-label': t('toast.close'),
+            onClick: () => dismissToast(toast, 'dismiss')
+        }, createIcon('close'))
+    ]));
+    
+    element.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            dismissToast(toast, 'dismiss');
+        }
+    });
+    
+    // Remember where focus came from, to return it when the toast closes
+    element.addEventListener('focusin', (e) => {
+        if (e.relatedTarget && !toastState.region.contains(e.relatedTarget)) {
+            toast.returnFocus = e.relatedTarget;
+        }
+    });
+    
+    return element;
+}
+
+/**
+ * Put a toast on screen and start its timer
+ */
+function displayToast(toast) {
+    toast.element = createToastElement(toast);
+    getToastRegion().appendChild(toast.element);
+    toastState.visible.push(toast);
+    
+    // Trigger animation
+    setTimeout(() => {
+        if (toast.element) toast.element.classList.add('show');
+    }, 10);
+    
+    if (!toastState.hovered && !toastState.focused) {
+        startToastTimer(toast);
+    }
+}
+
+/**
+ * Close a toast (on screen or queued) and settle its result
+ * @param {string} action - Action id, "dismiss" or "timeout"
+ */
+function dismissToast(toast, action) {
+    const visibleIndex = toastState.visible.indexOf(toast);
+    const queuedIndex = toastState.queue.indexOf(toast);
+    if (visibleIndex === -1 && queuedIndex === -1) return;
+    
+    stopToastTimer(toast);
+    
+    if (queuedIndex !== -1) {
+        toastState.queue.splice(queuedIndex, 1);
+    } else {
+        toastState.visible.splice(visibleIndex, 1);
+        
+        // Keep keyboard users in the stack, or send them back where they were
+        if (toast.element.contains(document.activeElement)) {
+            const next = toastState.visible[toastState.visible.length - 1];
+            const target = next ? next.element.querySelector('.toast-close') : toast.returnFocus;
+            
+            if (target && target.isConnected) {
+                target.focus();
+            } else {
+                setToastsPaused('focused', false);
+            }
+        }
+        
+        removeToastElement(toast);
+    }
+    
+    toast.resolve(action);
+    showQueuedToasts();
+}
+
+/**
+ * Hide a toast element, after its exit transition unless animate is false
+ */
+function removeToastElement(toast, { animate = true } = {}) {
+    const element = toast.element;
+    toast.element = null;
+    if (!element) return;
+    
+    if (!animate) {
+        element.remove();
+        return;
+    }
+    
+    element.classList.remove('show');
+    setTimeout(() => element.remove(), CONFIG.animations.normal);
+}
+
+/**
+ * Start counting down the time a toast has left (toasts with no duration stay)
+ */
+function startToastTimer(toast) {
+    if (!toast.duration || toast.timer) return;
+    
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissToast(toast, 'timeout'), toast.remaining);
+}
+
+/**
+ * Stop the countdown, keeping the time left
+ */
+function stopToastTimer(toast) {
+    if (!toast.timer) return;
+    
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+}
+
+/**
+ * Give a toast its full duration again
+ */
+function restartToastTimer(toast) {
+    const running = Boolean(toast.timer);
+    
+    stopToastTimer(toast);
+    toast.remaining = toast.duration;
+    
+    if (running) {
+        startToastTimer(toast);
+    }
+}
+
+/**
+ * Pause every visible toast while hovered or focused, resume once neither
+ * @param {'hovered'|'focused'} reason
+ */
+function setToastsPaused(reason, paused) {
+    toastState[reason] = paused;
+    
+    if (toastState.hovered || toastState.focused) {
+        toastState.visible.forEach(stopToastTimer);
+    } else {
+        toastState.visible.forEach(startToastTimer);
+    }
+}
+
+// ============================================
+// SCROLL TO TOP
+// ============================================
+
+/**
+ * Initialize scroll to top button
+ */
+function initScrollToTop() {
+    const scrollBtn = document.getElementById('scrollToTop');
+    if (!scrollBtn) return;
+    
+    // Show/hide button based on scroll position
+    window.addEventListener('scroll', throttle(() => {
+        if (window.pageYOffset > 300) {
+            scrollBtn.classList.add('visible');
+        } else {
+            scrollBtn.classList.remove('visible');
+        }
+    }, 100));
+    
+    // Scroll to top on click
+    scrollBtn.addEventListener('click', () => {
+        if (prefersReducedMotion()) {
+            window.scrollTo({ top: 0 });
+        } else {
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
+            });
+        }
+        
+        // Focus on skip to content link for accessibility
+        const skipLink = document.querySelector('.skip-to-content');
+        if (skipLink) {
+            skipLink.focus();
+        }
+    });
+}
+
+// ============================================
+// LAZY LOADING
+// ============================================
+
+/**
+ * Initialize lazy loading for images
+ */
+function initLazyLoading() {
+    if ('IntersectionObserver' in window) {
+        const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
+        
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    
+                    if (img.dataset.src) {
+                        img.src = img.dataset.src;
+                        img.removeAttribute('data-src');
+                    }
+                    
+                    if (img.dataset.srcset) {
+                        img.srcset = img.dataset.srcset;
+                        img.removeAttribute('data-srcset');
+                    }
+                    
+                    img.classList.add('loaded');
+                    imageObserver.unobserve(img);
+                }
+            });
+        }, {
+            rootMargin: '50px 0px',
+            threshold: 0.01
+        });
+        
+        lazyImages.forEach(img => imageObserver.observe(img));
+    } else {
+        // Fallback for browsers without IntersectionObserver
+        const lazyImages = document.querySelectorAll('img[data-src]');
+        lazyImages.forEach(img => {
+            img.src = img.dataset.src;
+            img.removeAttribute('data-src');
+        });
+    }
+}
+
+// ============================================
+// ANALYTICS & TRACKING
+// ============================================
+
+// Pending events, flush timer and callbacks run when the page is hidden
+const analyticsState = {
+    queue: [],
+    timer: null,
+    flushing: false,
+    pageHideReporters: []
+};
+
+/**
+ * Initialize the analytics pipeline
+ */
+function initAnalytics() {
+    // Restore events that were not delivered before the last unload
+    analyticsState.queue = loadPersistedEvents().concat(analyticsState.queue);
+    persistEvents();
+    
+    analyticsState.timer = setInterval(flushAnalytics, CONFIG.analytics.flushInterval);
+    
+    // pagehide/visibilitychange are the last events reliably fired on mobile
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            handlePageHide();
+        }
+    });
+    window.addEventListener('pagehide', handlePageHide);
+    
+    // Deliver whatever piled up while offline
+    window.addEventListener('online', () => flushAnalytics());
+}
+
+/**
+ * Track user events
+ */
+function trackEvent(eventName, data = {}) {
+    // Nothing is recorded without analytics consent
+    if (!hasAnalyticsConsent()) return;
+    
+    const eventData = {
+        event: eventName,
+        timestamp: new Date().toISOString(),
+        url: getTrackedUrl(),
+        referrer: getTrackedReferrer(),
+        ...scrubEventData(data)
+    };
+    
+    analyticsState.queue.push(eventData);
+    persistEvents();
+    
+    if (analyticsState.queue.length >= CONFIG.analytics.batchSize) {
+        flushAnalytics();
+    }
+}
+
+/**
+ * Register a callback that records final events before the page is hidden
+ */
+function registerPageHideReporter(reporter) {
+    analyticsState.pageHideReporters.push(reporter);
+}
+
+/**
+ * Report final metrics and flush the queue with sendBeacon
+ */
+function handlePageHide() {
+    analyticsState.pageHideReporters.forEach(reporter => {
+        try {
+            reporter();
+        } catch (error) {
+            console.error('Page hide reporter failed:', error);
+        }
+    });
+    
+    flushAnalytics({ beacon: true });
+}
+
+/**
+ * Send queued events to the analytics endpoint in batches
+ * Events stay queued (and persisted) while offline or when delivery fails
+ */
+async function flushAnalytics({ beacon = false } = {}) {
+    if (!analyticsState.queue.length || !navigator.onLine) {
+        return;
+    }
+    
+    const { batchSize } = CONFIG.analytics;
+    
+    // sendBeacon survives page unload but can't reach mock routes. It also sends the
+    // batch of a fetch still in flight, which may never complete once the page is gone.
+    if (beacon && CONFIG.api.adapter === 'fetch' && navigator.sendBeacon) {
+        while (analyticsState.queue.length) {
+            const batch = analyticsState.queue.slice(0, batchSize);
+            // text/plain keeps the cross-origin beacon free of a CORS preflight
+            const blob = new Blob([JSON.stringify(createAnalyticsPayload(batch))], {
+                type: 'text/plain;charset=UTF-8'
+            });
+            
+            if (!navigator.sendBeacon(CONFIG.api.analytics, blob)) break;
+            removeSentEvents(batch);
+        }
+        persistEvents();
+        return;
+    }
+    
+    if (analyticsState.flushing) return;
+    analyticsState.flushing = true;
+    
+    try {
+        while (analyticsState.queue.length && navigator.onLine) {
+            const batch = analyticsState.queue.slice(0, batchSize);
+            await apiRequest(CONFIG.api.analytics, createAnalyticsPayload(batch), { retries: 0 });
+            
+            removeSentEvents(batch);
+            persistEvents();
+        }
+    } catch (error) {
+        // The events stay queued for the next flush
+    } finally {
+        analyticsState.flushing = false;
+    }
+}
+
+/**
+ * Take delivered events out of the queue
+ * By identity: while a batch was sent, old events may have been trimmed off the front
+ * (or sent by a beacon), so the batch isn't necessarily at the front any more
+ */
+function removeSentEvents(batch) {
+    const sent = new Set(batch);
+    analyticsState.queue = analyticsState.queue.filter(event => !sent.has(event));
+}
+
+/**
+ * Wrap a batch of events for the analytics endpoint
+ */
+function createAnalyticsPayload(events) {
+    return {
+        events,
+        sentAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Save unsent events so they survive a reload
+ */
+function persistEvents() {
+    const { maxQueueSize } = CONFIG.analytics;
+    
+    // Drop the oldest events if the queue grows too large
+    if (analyticsState.queue.length > maxQueueSize) {
+        analyticsState.queue.splice(0, analyticsState.queue.length - maxQueueSize);
+    }
+    
+    try {
+        if (analyticsState.queue.length) {
+            localStorage.setItem(CONFIG.storage.analyticsQueue, JSON.stringify(analyticsState.queue));
+        } else {
+            localStorage.removeItem(CONFIG.storage.analyticsQueue);
+        }
+    } catch (error) {
+        // Storage full or unavailable; events stay in memory
+    }
+}
+
+/**
+ * Load events persisted by a previous page load
+ */
+function loadPersistedEvents() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.storage.analyticsQueue));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Track page views
+ */
+function trackPageView() {
+    // The first-visit marker is an identifier too: not stored without consent
+    if (!hasAnalyticsConsent()) return;
+    
+    let visitedBefore = null;
+    try {
+        visitedBefore = localStorage.getItem(CONFIG.storage.visitedBefore);
+    } catch (error) {
+        // Storage blocked: every visit counts as a first one
+    }
+    
+    trackEvent('page_view', {
+        is_first_visit: !visitedBefore,
+        page_title: document.title,
+        page_path: getTrackedUrl().slice(window.location.origin.length)
+    });
+    
+    if (!visitedBefore) {
+        try {
+            localStorage.setItem(CONFIG.storage.visitedBefore, 'true');
+        } catch (error) {
+            // Storage blocked or full
+        }
+        trackEvent('first_visit');
+    }
+}
+
+/**
+ * Track time on page
+ * Reports the visible time accumulated since the last report whenever the page is hidden
+ */
+function trackTimeOnPage() {
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+    let unreported = 0;
+    
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') {
+            visibleSince = Date.now();
+        } else if (visibleSince !== null) {
+            unreported += Date.now() - visibleSince;
+            visibleSince = null;
+        }
+    });
+    
+    registerPageHideReporter(() => {
+        if (visibleSince !== null) {
+            unreported += Date.now() - visibleSince;
+            visibleSince = Date.now();
+        }
+        
+        const seconds = Math.round(unreported / 1000);
+        if (seconds > 0) {
+            trackEvent('time_on_page', { seconds });
+            unreported = 0;
+        }
+    });
+}
+
+// ============================================
+// CONSENT & PRIVACY
+// ============================================
+
+let analyticsStarted = false;
+
+/**
+ * Initialize consent management
+ */
+function initConsent() {
+    // Footer link to revisit the choices at any time
+    document.querySelectorAll('[data-consent-settings]').forEach(button => {
+        button.addEventListener('click', () => showConsentBanner());
+    });
+    
+    if (hasAnalyticsConsent()) {
+        startAnalytics();
+    } else if (!getConsent() && !hasPrivacySignal()) {
+        showConsentBanner();
+    }
+}
+
+/**
+ * Start analytics features that require consent (runs once)
+ */
+function startAnalytics() {
+    if (analyticsStarted) return;
+    analyticsStarted = true;
+    
+    initAnalytics();
+    trackPageView();
+    trackTimeOnPage();
+    monitorPerformance();
+}
+
+/**
+ * Check for Do Not Track or Global Privacy Control signals
+ */
+function hasPrivacySignal() {
+    return navigator.globalPrivacyControl === true ||
+        navigator.doNotTrack === '1' ||
+        window.doNotTrack === '1';
+}
+
+/**
+ * Get the stored consent choices (null if the user hasn't chosen yet)
+ */
+function getConsent() {
+    try {
+        const consent = JSON.parse(localStorage.getItem(CONFIG.storage.consent));
+        return consent && consent.version === CONFIG.consent.version ? consent : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check whether analytics may run
+ * Browser privacy signals always win over stored choices
+ */
+function hasAnalyticsConsent() {
+    if (hasPrivacySignal()) return false;
+    
+    const consent = getConsent();
+    return Boolean(consent && consent.analytics);
+}
+
+/**
+ * Store the user's consent choices and apply them
+ */
+function saveConsent({ analytics }) {
+    const consent = {
+        version: CONFIG.consent.version,
+        necessary: true,
+        analytics: Boolean(analytics) && !hasPrivacySignal(),
+        updatedAt: new Date().toISOString()
+    };
+    
+    try {
+        localStorage.setItem(CONFIG.storage.consent, JSON.stringify(consent));
+    } catch (error) {
+        // Storage blocked: the banner closes, and asks again on the next visit
+    }
+    
+    if (consent.analytics) {
+        startAnalytics();
+    } else {
+        // Discard anything collected before consent was withdrawn
+        analyticsState.queue = [];
+        persistEvents();
+        
+        try {
+            localStorage.removeItem(CONFIG.storage.visitedBefore);
+        } catch (error) {
+            // Nothing stored without storage
+        }
+    }
+    
+    return consent;
+}
+
+/**
+ * Show the consent banner with the current choices preselected
+ */
+function showConsentBanner() {
+    const existing = document.querySelector('.consent-banner');
+    if (existing) {
+        existing.querySelector('button').focus();
+        return;
+    }
+    
+    const privacySignal = hasPrivacySignal();
+    const analyticsCheckbox = createElement('input', {
+        type: 'checkbox',
+        id: 'consentAnalytics',
+        checked: hasAnalyticsConsent(),
+        disabled: privacySignal
+    });
+    
+    const closeBanner = (choices) => {
+        saveConsent(choices);
+        banner.remove();
+        showToast(t('consent.saved'), 'success');
+    };
+    
+    const banner = createElement('section', {
+        className: 'consent-banner no-print',
+        role: 'region',
+        'aria-labelledby': 'consentTitle'
+    }, [
+        createElement('h2', { id: 'consentTitle', className: 'consent-title', dataset: { i18n: 'consent.title' } }),
+        createElement('p', { dataset: { i18n: 'consent.text' } }),
+        privacySignal ? createElement('p', { className: 'consent-signal', dataset: { i18n: 'consent.signal' } }) : null,
+        createElement('div', { className: 'consent-options' }, [
+            createElement('label', { className: 'consent-option' }, [
+                createElement('input', { type: 'checkbox', checked: true, disabled: true }),
+                ' ',
+                createElement('span', { dataset: { i18n: 'consent.necessary' } })
+            ]),
+            createElement('label', { className: 'consent-option', for: 'consentAnalytics' }, [
+                analyticsCheckbox,
+                ' ',
+                createElement('span', { dataset: { i18n: 'consent.analytics' } })
+            ])
+        ]),
+        createElement('div', { className: 'consent-actions' }, [
+            createElement('button', {
+                type: 'button',
+                className: 'btn-outline btn-small',
+                dataset: { i18n: 'consent.reject' },
+                onClick: () => closeBanner({ analytics: false })
+            }),
+            createElement('button', {
+                type: 'button',
+                className: 'btn-outline btn-small',
+                dataset: { i18n: 'consent.save' },
+                onClick: () => closeBanner({ analytics: analyticsCheckbox.checked })
+            }),
+            createElement('button', {
+                type: 'button',
+                className: 'btn-primary btn-small',
+                disabled: privacySignal,
+                dataset: { i18n: 'consent.accept' },
+                onClick: () => closeBanner({ analytics: true })
+            })
+        ])
+    ]);
+    
+    // Stays translated through applyLocale() while it is open
+    document.body.appendChild(translateElements(banner));
+}
+
+/**
+ * Remove personal data from event properties
+ * Email fields are dropped, free-text fields are reduced to their length
+ * and any email address embedded in other strings is masked
+ */
+function scrubEventData(data) {
+    const { emailFields, freeTextFields } = CONFIG.privacy;
+    const scrubbed = {};
+    
+    Object.entries(data).forEach(([key, value]) => {
+        if (emailFields.includes(key)) return;
+        
+        if (freeTextFields.includes(key)) {
+            scrubbed[`${key}_length`] = typeof value === 'string' ? value.length : 0;
+        } else if (typeof value === 'string') {
+            scrubbed[key] = value.replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]');
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            scrubbed[key] = scrubEventData(value);
+        } else {
+            scrubbed[key] = value;
+        }
+    });
+    
+    return scrubbed;
+}
+
+/**
+ * Current URL without the query string (which may carry tokens or emails)
+ * nor the token of a newsletter link
+ */
+function getTrackedUrl() {
+    const hash = window.location.hash.replace(/^(#newsletter\/(?:confirm|unsubscribe))\/.*$/, '$1');
+    return window.location.origin + window.location.pathname + hash;
+}
+
+/**
+ * Referring origin only, never the full referrer URL
+ */
+function getTrackedReferrer() {
+    try {
+        return document.referrer ? new URL(document.referrer).origin : '';
+    } catch (error) {
+        return '';
+    }
+}
+
+// ============================================
+// ACCESSIBILITY FEATURES
+// ============================================
+
+/**
+ * Initialize accessibility features
+ */
+function initAccessibility() {
+    // Skip to content link
+    const skipLink = document.querySelector('.skip-to-content');
+    if (skipLink) {
+        skipLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            const mainContent = document.querySelector('main');
+            if (mainContent) {
+                mainContent.setAttribute('tabindex', '-1');
+                mainContent.focus();
+                setTimeout(() => mainContent.removeAttribute('tabindex'), 1000);
+            }
+        });
+    }
+    
+    // Announce messages to screen readers
+    window.announceToScreenReader = announceToScreenReader;
+    
+    // Handle reduced motion
+    if (prefersReducedMotion()) {
+        document.documentElement.classList.add('reduced-motion');
+    }
+}
+
+/**
+ * Announce message to screen readers
+ */
+function announceToScreenReader(message, priority = 'polite') {
+    const announcement = document.createElement('div');
+    announcement.setAttribute('aria-live', priority);
+    announcement.setAttribute('aria-atomic', 'true');
+    announcement.className = 'visually-hidden';
+    announcement.textContent = message;
+    
+    document.body.appendChild(announcement);
+    
+    setTimeout(() => {
+        if (announcement.parentNode) {
+            announcement.parentNode.removeChild(announcement);
+        }
+    }, 1000);
+}
+
+// ============================================
+// PROGRESSIVE WEB APP FEATURES
+// ============================================
+
+/**
+ * Initialize PWA features
+ */
+function initPWA() {
+    // Check if app is installed
+    window.addEventListener('appinstalled', () => {
+        trackEvent('pwa_installed');
+        showToast(t('pwa.installed'), 'success');
+    });
+    
+    // Check if app is running in standalone mode
+    if (window.matchMedia('(display-mode: standalone)').matches) {
+        document.documentElement.classList.add('standalone');
+        trackEvent('pwa_standalone_mode');
+    }
+    
+    // Register service worker
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register(trustedScriptURL(CONFIG.serviceWorker.url), { scope: '/' }).then(registration => {
+                console.log('ServiceWorker registered:', registration.scope);
+            }).catch(error => {
+                console.log('ServiceWorker registration failed:', error);
+            });
+        });
+    }
+}
+
+/**
+ * Ask the active service worker which URLs it can serve offline
+ */
+function getCachedUrls() {
+    const controller = 'serviceWorker' in navigator && navigator.serviceWorker.controller;
+    if (!controller) {
+        return Promise.resolve([]);
+    }
+
+    return new Promise(resolve => {
+        const channel = new MessageChannel();
+        const timeout = setTimeout(() => resolve([]), CONFIG.serviceWorker.messageTimeout);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timeout);
+            resolve(event.data && event.data.urls ? event.data.urls : []);
+        };
+
+        controller.postMessage({ type: 'GET_CACHE_STATUS' }, [channel.port2]);
+    });
+}
+
+/**
+ * Post a message to the active service worker once it is ready
+ */
+function sendToServiceWorker(message) {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.ready.then(registration => {
+        if (registration.active) {
+            registration.active.postMessage(message);
+        }
+    });
+}
+
+/**
+ * Check whether the current page can be reloaded while offline
+ */
+async function isPageAvailableOffline() {
+    const urls = await getCachedUrls();
+    const currentPath = window.location.pathname;
+
+    return urls.some(url => new URL(url).pathname === currentPath);
+}
+
+/**
+ * Handle the browser going offline
+ */
+async function handleOffline() {
+    trackEvent('connection_lost');
+
+    if (await isPageAvailableOffline()) {
+        showToast(t('offline.cached'), 'warning');
+    } else {
+        showToast(t('offline.uncached'), 'warning');
+    }
+}
+
+/**
+ * Handle the browser coming back online
+ */
+function handleOnline() {
+    showToast(t('offline.online'), 'success');
+    trackEvent('connection_restored');
+    flushOutbox();
+}
+
+// ============================================
+// API CLIENT
+// ============================================
+
+/**
+ * Error raised by the API client
+ * `fieldErrors` maps payload field names to user-facing messages
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, code = 'request_failed', fieldErrors = {}, retryable = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+    }
+}
+
+// Transport adapters, selected with CONFIG.api.adapter
+const apiAdapters = {
+    fetch: fetchAdapter,
+    mock: mockAdapter
+};
+
+/**
+ * Register a custom transport adapter
+ */
+function registerApiAdapter(name, adapter) {
+    apiAdapters[name] = adapter;
+}
+
+/**
+ * Send a JSON request to an API endpoint
+ * Retries with exponential backoff on network errors, timeouts and 5xx responses
+ */
+async function apiRequest(url, data, options = {}) {
+    const {
+        method = 'POST',
+        adapter = CONFIG.api.adapter,
+        timeout = CONFIG.api.timeout,
+        retries = CONFIG.api.retries
+    } = options;
+
+    const transport = apiAdapters[adapter];
+    if (!transport) {
+        throw new ApiError(`Unknown API adapter: ${adapter}`, { code: 'invalid_adapter' });
+    }
+
+    const request = { url, method, body: data, timeout };
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await transport(request);
+        } catch (error) {
+            const apiError = error instanceof ApiError
+                ? error
+                : new ApiError(error.message, { code: 'network_error', retryable: true });
+
+            if (!apiError.retryable || attempt >= retries) {
+                throw apiError;
+            }
+
+            await wait(getRetryDelay(attempt));
+        }
+    }
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function getRetryDelay(attempt) {
+    const base = CONFIG.api.retryDelay * Math.pow(2, attempt);
+    return base + Math.round(Math.random() * base * 0.25);
+}
+
+/**
+ * Resolve after the given number of milliseconds
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Transport using the Fetch API
+ */
+async function fetchAdapter({ url, method, body, timeout }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+
+    try {
+        response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                // Lets the API answer with field errors in the reader's language
+                'Accept-Language': i18nState.locale
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: controller.signal
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new ApiError('The request timed out', { code: 'timeout', retryable: true });
+        }
+        throw new ApiError('Network request failed', { code: 'network_error', retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    const payload = contentType.includes('application/json')
+        ? await response.json().catch(() => ({}))
+        : {};
+
+    if (!response.ok) {
+        throw createApiError(response.status, payload);
+    }
+
+    return payload;
+}
+
+/**
+ * Build an ApiError from a structured error response
+ * Accepts `{ message, code, errors }` where `errors` is either
+ * `{ field: message }` or `[{ field, message }]`
+ */
+function createApiError(status, payload = {}) {
+    return new ApiError(payload.message || `Request failed with status ${status}`, {
+        status,
+        code: payload.code || (status >= 500 ? 'server_error' : 'request_failed'),
+        fieldErrors: normalizeFieldErrors(payload.errors),
+        retryable: status >= 500
+    });
+}
+
+/**
+ * Normalize the different field error shapes into `{ field: message }`
+ */
+function normalizeFieldErrors(errors) {
+    const fieldErrors = {};
+    if (!errors) return fieldErrors;
+
+    if (Array.isArray(errors)) {
+        errors.forEach(({ field, message }) => {
+            if (field && !fieldErrors[field]) {
+                fieldErrors[field] = message;
+            }
+        });
+    } else {
+        Object.entries(errors).forEach(([field, message]) => {
+            fieldErrors[field] = Array.isArray(message) ? message[0] : message;
+        });
+    }
+
+    return fieldErrors;
+}
+
+// ============================================
+// MOCK API (local development and tests)
+// ============================================
+
+// Mock route handlers keyed by endpoint URL
+const mockRoutes = new Map();
+
+/**
+ * Register a mock handler returning `{ status, body }` for an endpoint
+ * Handlers get the request body and `{ url, method, query }` (query string parameters)
+ */
+function registerMockRoute(url, handler) {
+    mockRoutes.set(url, handler);
+}
+
+/**
+ * Transport answering requests locally through the registered mock routes
+ */
+async function mockAdapter({ url, method, body }) {
+    await wait(CONFIG.api.mockLatency);
+
+    const [path, query = ''] = url.split('?');
+    const handler = mockRoutes.get(path);
+    if (!handler) {
+        throw createApiError(404, { message: `No mock route for ${method} ${url}`, code: 'not_found' });
+    }
+
+    const { status = 200, body: payload = {} } = await handler(body, { url, method, query: new URLSearchParams(query) });
+    if (CONFIG.api.mockDebug) {
+        console.debug(`Mock API ${method} ${path} -> ${status}`);
+    }
+
+    if (status >= 400) {
+        throw createApiError(status, payload);
+    }
+
+    return payload;
+}
+
+// Proof-of-work stamps the mock routes have accepted, with the submission and the
+// answer it got (a stamp is only valid again for the same submission)
+const mockSpentStamps = new Map();
+
+// Response to submissions failing the spam checks; says no more than needed
+const MOCK_REJECTED = {
+    status: 403,
+    body: { message: 'This submission could not be accepted', code: 'rejected' }
+};
+
+/**
+ * Verify a proof-of-work token as the API is expected to: current version and
+ * difficulty, made for this form, fresh, and hashing to enough leading zero bits
+ * Runs in the page for the mock only; it is the contract for the server, not a check
+ */
+async function verifyProofOfWork(token, kind) {
+    // Browsers without Web Crypto can't make one
+    if (!CONFIG.spam.proofOfWorkBits || !window.crypto || !window.crypto.subtle) return true;
+
+    if (!token || typeof token.stamp !== 'string' || !Number.isInteger(token.nonce)) return false;
+
+    const [version, bits, , stampKind] = token.stamp.split(':');
+    const age = getProofOfWorkAge(token);
+
+    if (Number(version) !== PROOF_OF_WORK_VERSION ||
+        !(Number(bits) >= CONFIG.spam.proofOfWorkBits) ||
+        stampKind !== kind ||
+        !(age > -60000 && age <= CONFIG.spam.proofOfWorkMaxAge)) {
+        return false;
+    }
+
+    return await countLeadingZeroBits(`${token.stamp}:${token.nonce}`) >= Number(bits);
+}
+
+/**
+ * Wrap a mock route for a form so it only runs for a valid, unspent proof of work
+ * Sending the same submission again with a spent token is idempotent: it gets the
+ * first answer back instead of a rejection, and the handler doesn't run twice.
+ */
+function withProofOfWork(kind, handler) {
+    return async (body = {}, request) => {
+        const token = body.proofOfWork;
+        const submission = JSON.stringify(body);
+        const spent = token && typeof token.stamp === 'string' ? mockSpentStamps.get(token.stamp) : null;
+
+        if (spent) {
+            return spent.submission === submission ? spent.response : MOCK_REJECTED;
+        }
+
+        if (!await verifyProofOfWork(token, kind)) {
+            return MOCK_REJECTED;
+        }
+
+        const response = await handler(body, request);
+        if (token) {
+            mockSpentStamps.set(token.stamp, { submission, response });
+        }
+
+        return response;
+    };
+}
+
+// Subscribers of the mock newsletter API, kept in localStorage so confirmation and
+// unsubscribe links still work after a reload
+const MOCK_NEWSLETTER_KEY = 'devhubx_mock_newsletter';
+
+// Confirmation links expire after two days
+const MOCK_CONFIRM_MAX_AGE = 2 * 24 * 60 * 60 * 1000;
+
+const MOCK_INVALID_TOKEN = {
+    status: 404,
+    body: { message: 'This link is not valid', code: 'invalid_token' }
+};
+
+/**
+ * Mock subscribers keyed by email address
+ */
+function readMockSubscribers() {
+    try {
+        return JSON.parse(localStorage.getItem(MOCK_NEWSLETTER_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Save the mock subscribers
+ */
+function writeMockSubscribers(subscribers) {
+    localStorage.setItem(MOCK_NEWSLETTER_KEY, JSON.stringify(subscribers));
+}
+
+/**
+ * Mock subscriber with a confirmed subscription and this management token
+ */
+function findMockSubscriber(subscribers, token) {
+    return Object.values(subscribers).find(subscriber => (
+        token && subscriber.token === token && subscriber.status === 'subscribed'
+    ));
+}
+
+/**
+ * Link in a mock "email" to the subscriber
+ */
+function getMockNewsletterLink(action, token) {
+    return `${window.location.origin}${window.location.pathname}#newsletter/${action}/${token}`;
+}
+
+/**
+ * Stand-in for an email the API would send: the mock has no inbox, so its link is
+ * offered in a toast (only ever shown with the mock adapter, i.e. in development)
+ */
+function showMockEmail(subject, link) {
+    const toast = showToast(`Mock email: ${subject}`, 'info', {
+        actions: [{ id: 'open', label: 'Open link' }]
+    });
+
+    toast.result.then(action => {
+        if (action === 'open') window.location.assign(link);
+    });
+}
+
+registerMockRoute(CONFIG.api.newsletter, withProofOfWork('newsletter', async (body) => {
+    if (!isValidEmail(body.email || '')) {
+        return {
+            status: 422,
+            body: {
+                message: 'Please enter a valid email address',
+                code: 'validation_failed',
+                errors: { email: 'Please enter a valid email address' }
+            }
+        };
+    }
+
+    // Same answer whether or not the address is known, so it can't be used to probe for subscribers
+    const subscribers = readMockSubscribers();
+    const email = body.email.toLowerCase();
+    const subscriber = subscribers[email] || { email: body.email, status: 'pending', token: null, topics: null, frequency: 'weekly' };
+
+    subscriber.confirmToken = createRandomToken();
+    subscriber.confirmRequestedAt = Date.now();
+    subscribers[email] = subscriber;
+    writeMockSubscribers(subscribers);
+
+    showMockEmail('confirm your subscription', getMockNewsletterLink('confirm', subscriber.confirmToken));
+
+    return { status: 202, body: { status: 'pending' } };
+}));
+
+registerMockRoute(getNewsletterUrl('/confirm'), (body = {}) => {
+    const subscribers = readMockSubscribers();
+    const subscriber = Object.values(subscribers).find(candidate => body.token && candidate.confirmToken === body.token);
+
+    if (!subscriber || Date.now() - subscriber.confirmRequestedAt > MOCK_CONFIRM_MAX_AGE) {
+        return MOCK_INVALID_TOKEN;
+    }
+
+    subscriber.status = 'subscribed';
+    subscriber.token = subscriber.token || createRandomToken();
+    delete subscriber.confirmToken;
+    delete subscriber.confirmRequestedAt;
+    writeMockSubscribers(subscribers);
+
+    showMockEmail('welcome, with an unsubscribe link', getMockNewsletterLink('unsubscribe', subscriber.token));
+
+    const { email, token, topics, frequency } = subscriber;
+    return { status: 200, body: { email, token, topics, frequency } };
+});
+
+registerMockRoute(getNewsletterUrl('/preferences'), (body = {}, { method, query }) => {
+    const subscribers = readMockSubscribers();
+    const subscriber = findMockSubscriber(subscribers, method === 'GET' ? query.get('token') : body.token);
+
+    if (!subscriber) {
+        return MOCK_INVALID_TOKEN;
+    }
+
+    if (method === 'PUT') {
+        const topics = Array.isArray(body.topics) ? body.topics.filter(topic => typeof topic === 'string') : [];
+
+        if (!topics.length) {
+            return {
+                status: 422,
+                body: {
+                    message: 'Choose at least one topic',
+                    code: 'validation_failed',
+                    errors: { topics: 'Choose at least one topic' }
+                }
+            };
+        }
+
+        subscriber.topics = topics;
+        subscriber.frequency = NEWSLETTER_FREQUENCIES.some(({ value }) => value === body.frequency)
+            ? body.frequency
+            : subscriber.frequency;
+        writeMockSubscribers(subscribers);
+    }
+
+    const { email, topics, frequency } = subscriber;
+    return { status: 200, body: { email, topics, frequency } };
+});
+
+registerMockRoute(getNewsletterUrl('/unsubscribe'), (body = {}) => {
+    const subscribers = readMockSubscribers();
+    const subscriber = findMockSubscriber(subscribers, body.token);
+
+    if (!subscriber) {
+        return MOCK_INVALID_TOKEN;
+    }
+
+    delete subscribers[subscriber.email.toLowerCase()];
+    writeMockSubscribers(subscribers);
+
+    return { status: 200, body: { status: 'unsubscribed' } };
+});
+
+registerMockRoute(CONFIG.api.contact, withProofOfWork('contact', async (body) => {
+    const errors = [];
+
+    ['name', 'email', 'subject', 'message'].forEach(field => {
+        if (!body[field]) {
+            errors.push({ field, message: 'This field is required' });
+        }
+    });
+
+    if (body.email && !isValidEmail(body.email)) {
+        errors.push({ field: 'email', message: 'Please enter a valid email address' });
+    }
+
+    if (errors.length) {
+        return {
+            status: 422,
+            body: { message: 'Please correct the highlighted fields', code: 'validation_failed', errors }
+        };
+    }
+
+    return { status: 201, body: { received: true } };
+}));
+
+registerMockRoute(CONFIG.api.analytics, () => ({ status: 202, body: { accepted: true } }));
+
+// ============================================
+// LOCAL DATABASE (IndexedDB)
+// ============================================
+
+let databasePromise = null;
+
+/**
+ * Open (and upgrade if needed) the IndexedDB database
+ */
+function openDatabase() {
+    if (!('indexedDB' in window)) {
+        return Promise.reject(new Error('IndexedDB is not supported'));
+    }
+
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(CONFIG.db.name, CONFIG.db.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(CONFIG.db.stores).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, options);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                
+                // Let a newer version of the page (in another tab) upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    databasePromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+
+    return databasePromise;
+}
+
+/**
+ * Run an operation against an object store
+ * `operation` receives the store and returns an IDBRequest (or nothing);
+ * the promise resolves with the request result once the transaction completes
+ */
+async function runStoreOperation(storeName, mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ============================================
+// OFFLINE OUTBOX
+// ============================================
+
+// Kinds of queued submissions and the form showing their status (messages are "outbox.<kind>.*" in i18n.js)
+const OUTBOX_KINDS = {
+    contact: 'contactForm',
+    newsletter: 'newsletterForm'
+};
+
+// Notification the service worker shows when it delivers an entry with no page open;
+// translated when the entry is queued, as the worker has no message catalogs
+const OUTBOX_NOTIFICATIONS = {
+    contact: 'outbox.contact.delivered',
+    newsletter: 'newsletter.pending'
+};
+
+/**
+ * Initialize the outbox: replay leftovers and listen for deliveries
+ */
+function initOutbox() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const { data } = event;
+            if (!data) return;
+
+            if (data.type === 'OUTBOX_DELIVERED') {
+                handleOutboxDelivered(data.entry);
+            } else if (data.type === 'OUTBOX_REJECTED') {
+                handleOutboxRejected(data.entry, data.message);
+            }
+        });
+    }
+
+    renderOutboxStatus();
+    document.addEventListener('locale:change', renderOutboxStatus);
+
+    if (navigator.onLine) {
+        flushOutbox();
+    }
+}
+
+/**
+ * Send a submission, or queue it when the browser is offline or the network fails
+ */
+async function submitOrQueue(kind, url, body) {
+    if (!navigator.onLine) {
+        await queueSubmission(kind, url, body);
+        return { queued: true };
+    }
+
+    try {
+        return { queued: false, response: await apiRequest(url, body) };
+    } catch (error) {
+        if (isNetworkError(error)) {
+            await queueSubmission(kind, url, body);
+            return { queued: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Check whether a request failed because the network was unreachable
+ */
+function isNetworkError(error) {
+    return error instanceof ApiError && ['network_error', 'timeout'].includes(error.code);
+}
+
+/**
+ * Persist a submission in the outbox
+ */
+async function queueSubmission(kind, url, body) {
+    await runStoreOperation('outbox', 'readwrite', store => store.add({
+        kind,
+        url,
+        body,
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        notification: t(OUTBOX_NOTIFICATIONS[kind])
+    }));
+
+    trackEvent('form_queued', { form: kind });
+    renderOutboxStatus();
+    requestBackgroundSync();
+}
+
+/**
+ * Ask the service worker to replay the outbox when connectivity returns
+ * Only used with the fetch adapter, since the worker cannot reach mock routes
+ */
+async function requestBackgroundSync() {
+    if (CONFIG.api.adapter !== 'fetch' || !('serviceWorker' in navigator) || !('SyncManager' in window)) {
+        return;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        await registration.sync.register(CONFIG.outbox.syncTag);
+    } catch (error) {
+        console.error('Background sync registration failed:', error);
+    }
+}
+
+/**
+ * Get all queued submissions
+ */
+function getOutboxEntries() {
+    return runStoreOperation('outbox', 'readonly', store => store.getAll());
+}
+
+/**
+ * Atomically lease an entry for sending; it stays in the outbox until the server answers
+ * Resolves with `null` if the service worker (or another tab) is sending it already
+ */
+function claimOutboxEntry(id) {
+    let entry = null;
+
+    return runStoreOperation('outbox', 'readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const saved = request.result;
+            if (!saved || Date.now() - (saved.sendingSince || 0) < CONFIG.outbox.leaseDuration) return;
+
+            entry = { ...saved, sendingSince: Date.now() };
+            store.put(entry);
+        };
+    }).then(() => entry);
+}
+
+/**
+ * Give a leased entry back after a failed attempt, to be retried on the next flush
+ */
+function releaseOutboxEntry(entry) {
+    return runStoreOperation('outbox', 'readwrite', store => store.put({
+        ...entry,
+        attempts: entry.attempts + 1,
+        sendingSince: null
+    }));
+}
+
+/**
+ * Give a leased entry a new proof of work when its own would expire before it is sent
+ * Entries may wait longer than a token is accepted. The new token is saved, so
+ * retries (here or in the service worker) resend the same submission.
+ */
+async function refreshOutboxProofOfWork(entry) {
+    const token = entry.body.proofOfWork;
+    if (!token || getProofOfWorkAge(token) < CONFIG.spam.proofOfWorkMaxAge - CONFIG.outbox.leaseDuration) return;
+
+    entry.body = { ...entry.body, proofOfWork: await createProofOfWork(entry.kind) };
+    await runStoreOperation('outbox', 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Delete an entry once the server accepted or definitively refused it
+ */
+function removeOutboxEntry(id) {
+    return runStoreOperation('outbox', 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Replay queued submissions
+ */
+async function flushOutbox() {
+    let entries;
+
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        return;
+    }
+
+    for (const { id } of entries) {
+        const entry = await claimOutboxEntry(id);
+        if (!entry) continue;
+
+        await refreshOutboxProofOfWork(entry);
+
+        try {
+            await apiRequest(entry.url, entry.body);
+        } catch (error) {
+            if (isNetworkError(error) || (error.retryable && entry.attempts + 1 < CONFIG.outbox.maxAttempts)) {
+                await releaseOutboxEntry(entry);
+                break;
+            }
+
+            await removeOutboxEntry(id);
+            handleOutboxRejected(entry, error.message);
+            continue;
+        }
+
+        await removeOutboxEntry(id);
+        handleOutboxDelivered(entry);
+    }
+
+    renderOutboxStatus();
+}
+
+/**
+ * Notify the user that a queued submission was delivered
+ */
+function handleOutboxDelivered(entry) {
+    if (entry.kind === 'newsletter') {
+        markNewsletterPending(entry.body.email);
+    } else {
+        showToast(t(`outbox.${entry.kind}.delivered`), 'success');
+        clearContactDraft(Date.parse(entry.createdAt));
+        trackEvent('contact_form_submission', { form: 'contact', queued: true });
+    }
+
+    renderOutboxStatus();
+}
+
+/**
+ * Notify the user that a queued submission was refused by the server
+ */
+function handleOutboxRejected(entry, message) {
+    console.error('Queued submission rejected:', message);
+    showToast(t(`outbox.${entry.kind}.rejected`), 'error');
+
+    // The message has to be sent again: bring its draft back on the next visit
+    if (entry.kind === 'contact') {
+        setContactDraftQueued(false);
+    }
+
+    trackEvent('form_queue_rejected', { form: entry.kind });
+    renderOutboxStatus();
+}
+
+/**
+ * Show how many submissions are waiting under each form
+ */
+async function renderOutboxStatus() {
+    let entries = [];
+
+    try {
+        entries = await getOutboxEntries();
+    } catch (error) {
+        // Without IndexedDB nothing can be queued
+    }
+
+    Object.entries(OUTBOX_KINDS).forEach(([kind, formId]) => {
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        const count = entries.filter(entry => entry.kind === kind).length;
+        let status = form.querySelector('.form-status');
+
+        if (!count) {
+            if (status) status.remove();
+            delete form.dataset.state;
+            return;
         }
-    }, CONFIG.animations.normal);
-}
 
-/**
- * Remove existing toasts
- */
-function removeExistingToasts() {
-    const toasts = document.querySelectorAll('.toast');
-    toasts.forEach(toast => {
-        if (toast.parentNode) {
-            toast.parentNode.removeChild(toast);
+        if (!status) {
+            status = createElement('p', { className: 'form-status', role: 'status' });
+            form.append(status);
         }
+
+        form.dataset.state = 'queued';
+        status.textContent = t(`outbox.${kind}.queued`, { count });
     });
 }
 
 // ============================================
-// SCROLL TO TOP
+// PERFORMANCE MONITORING
 // ============================================
 
+// "good" and "poor" thresholds for each metric
+const VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+// Latest value and attribution per metric, reported once when the page is hidden
+const vitalsState = {
+    metrics: {},
+    reported: false
+};
+
 /**
- * Initialize scroll to top button
+ * Monitor Core Web Vitals
  */
-function initScrollToTop() {
-    const scrollBtn = document.getElementById('scrollToTop');
-    if (!scrollBtn) return;
+function monitorPerformance() {
+    if (!('PerformanceObserver' in window)) return;
     
-    // Show/hide button based on scroll position
-    window.addEventListener('scroll', throttle(() => {
-        if (window.pageYOffset > 300) {
-            scrollBtn.classList.add('visible');
-        } else {
-            scrollBtn.classList.remove('visible');
-        }
-    }, 100));
+    observeTTFB();
+    observeFCP();
+    observeLCP();
+    observeCLS();
+    observeINP();
     
-    // Scroll to top on click
-    scrollBtn.addEventListener('click', () => {
-        if (prefersReducedMotion()) {
-            window.scrollTo({ top: 0 });
-        } else {
-            window.scrollTo({
-                top: 0,
-                behavior: 'smooth'
-            });
-        }
-        
-        // Focus on skip to content link for accessibility
-        const skipLink = document.querySelector('.skip-to-content');
-        if (skipLink) {
-            skipLink.focus();
-        }
-    });
+    registerPageHideReporter(reportVitals);
 }
 
-// ============================================
-// LAZY LOADING
-// ============================================
+/**
+ * Observe a performance entry type, including entries buffered before the call
+ */
+function observePerformance(type, callback, options = {}) {
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    if (!supported.includes(type)) return null;
+    
+    const observer = new PerformanceObserver(list => callback(list.getEntries()));
+    observer.observe({ type, buffered: true, ...options });
+    return observer;
+}
 
 /**
- * Initialize lazy loading for images
+ * Record the latest value of a metric
  */
-function initLazyLoading() {
-    if ('IntersectionObserver' in window) {
-        const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
-        
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    
-                    if (img.dataset.src) {
-                        img.src = img.dataset.src;
-                        img.removeAttribute('data-src');
-                    }
-                    
-                    if (img.dataset.srcset) {
-                        img.srcset = img.dataset.srcset;
-                        img.removeAttribute('data-srcset');
-                    }
-                    
-                    img.classList.add('loaded');
-                    imageObserver.unobserve(img);
-                }
-            });
-        }, {
-            rootMargin: '50px 0px',
-            threshold: 0.01
-        });
-        
-        lazyImages.forEach(img => imageObserver.observe(img));
-    } else {
-        // Fallback for browsers without IntersectionObserver
-        const lazyImages = document.querySelectorAll('img[data-src]');
-        lazyImages.forEach(img => {
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
-        });
-    }
+function setVital(name, value, attribution = {}) {
+    vitalsState.metrics[name] = { value, attribution };
 }
 
-// ============================================
-// ANALYTICS & TRACKING
-// ============================================
+/**
+ * Time elapsed before a prerendered page was activated
+ */
+function getActivationStart() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    return navigation && navigation.activationStart ? navigation.activationStart : 0;
+}
 
 /**
- * Track user events
+ * Time to First Byte from Navigation Timing Level 2
  */
-function trackEvent(eventName, data = {}) {
-    const eventData = {
-        event: eventName,
-        timestamp: new Date().toISOString(),
-        url: window.location.href,
-        referrer: document.referrer,
-        userAgent: navigator.userAgent,
-        ...data
-    };
-    
-    // In production, send this to your analytics service
-    console.log('Event tracked:', eventData);
+function observeTTFB() {
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (!navigation) return;
     
-    // Example: Send to your API
-    // fetch(CONFIG.api.analytics, {
-    //     method: 'POST',
-    //     headers: { 'Content-Type': 'application/json' },
-    //     body: JSON.stringify(eventData)
-    // });
+    setVital('TTFB', Math.max(navigation.responseStart - getActivationStart(), 0), {
+        navigation_type: navigation.type,
+        dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+        connection: Math.round(navigation.connectEnd - navigation.connectStart),
+        request: Math.round(navigation.responseStart - navigation.requestStart)
+    });
 }
 
 /**
- * Track page views
+ * First Contentful Paint
  */
-function trackPageView() {
-    const visitedBefore = localStorage.getItem(CONFIG.storage.visitedBefore);
-    
-    trackEvent('page_view', {
-        is_first_visit: !visitedBefore,
-        page_title: document.title,
-        page_path: window.location.pathname
+function observeFCP() {
+    const observer = observePerformance('paint', entries => {
+        const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+        if (fcp) {
+            setVital('FCP', Math.max(fcp.startTime - getActivationStart(), 0));
+            observer.disconnect();
+        }
     });
-    
-    if (!visitedBefore) {
-        localStorage.setItem(CONFIG.storage.visitedBefore, 'true');
-        trackEvent('first_visit');
-    }
 }
 
 /**
- * Track time on page
+ * Largest Contentful Paint
+ * Candidates only replace each other until the user first interacts, so the
+ * value reported on page hide is the final one
  */
-function trackTimeOnPage() {
-    let timeStart = Date.now();
+function observeLCP() {
+    const handleEntries = entries => {
+        const entry = entries[entries.length - 1];
+        if (!entry) return;
+        
+        setVital('LCP', Math.max(entry.startTime - getActivationStart(), 0), {
+            element: getElementSelector(entry.element),
+            url: entry.url || null,
+            size: entry.size
+        });
+    };
+    
+    const observer = observePerformance('largest-contentful-paint', handleEntries);
+    if (!observer) return;
     
-    window.addEventListener('beforeunload', () => {
-        const timeSpent = Math.round((Date.now() - timeStart) / 1000);
-        trackEvent('time_on_page', { seconds: timeSpent });
+    const stopObserving = () => {
+        handleEntries(observer.takeRecords());
+        observer.disconnect();
+        ['keydown', 'click'].forEach(type => {
+            window.removeEventListener(type, stopObserving, true);
+        });
+    };
+    
+    ['keydown', 'click'].forEach(type => {
+        window.addEventListener(type, stopObserving, { capture: true, once: true });
     });
 }
 
-// ============================================
-// ACCESSIBILITY FEATURES
-// ============================================
-
 /**
- * Initialize accessibility features
+ * Cumulative Layout Shift using session windows
+ * A window groups shifts less than 1s apart, capped at 5s; CLS is the worst window
  */
-function initAccessibility() {
-    // Skip to content link
-    const skipLink = document.querySelector('.skip-to-content');
-    if (skipLink) {
-        skipLink.addEventListener('click', (e) => {
-            e.preventDefault();
-            const mainContent = document.querySelector('main');
-            if (mainContent) {
-                mainContent.setAttribute('tabindex', '-1');
-                mainContent.focus();
-                setTimeout(() => mainContent.removeAttribute('tabindex'), 1000);
+function observeCLS() {
+    let sessionValue = 0;
+    let sessionEntries = [];
+    
+    const observer = observePerformance('layout-shift', entries => {
+        entries.forEach(entry => {
+            // Shifts right after user input are expected
+            if (entry.hadRecentInput) return;
+            
+            const firstEntry = sessionEntries[0];
+            const lastEntry = sessionEntries[sessionEntries.length - 1];
+            
+            if (lastEntry &&
+                entry.startTime - lastEntry.startTime < 1000 &&
+                entry.startTime - firstEntry.startTime < 5000) {
+                sessionValue += entry.value;
+                sessionEntries.push(entry);
+            } else {
+                sessionValue = entry.value;
+                sessionEntries = [entry];
+            }
+            
+            const current = vitalsState.metrics.CLS;
+            if (!current || sessionValue > current.value) {
+                const largestShift = sessionEntries.reduce((a, b) => (b.value > a.value ? b : a));
+                const source = (largestShift.sources || []).find(item => item.node);
+                
+                setVital('CLS', sessionValue, {
+                    element: source ? getElementSelector(source.node) : null,
+                    shift_time: Math.round(largestShift.startTime)
+                });
             }
         });
-    }
-    
-    // Announce messages to screen readers
-    window.announceToScreenReader = announceToScreenReader;
+    });
     
-    // Handle reduced motion
-    if (prefersReducedMotion()) {
-        document.documentElement.classList.add('reduced-motion');
+    // Report 0 for pages that never shift
+    if (observer && !vitalsState.metrics.CLS) {
+        setVital('CLS', 0);
     }
 }
 
 /**
- * Announce message to screen readers
+ * Interaction to Next Paint
+ * Uses the longest interaction, ignoring one outlier per 50 interactions
  */
-function announceToScreenReader(message, priority = 'polite') {
-    const announcement = document.createElement('div');
-    announcement.setAttribute('aria-live', priority);
-    announcement.setAttribute('aria-atomic', 'true');
-    announcement.className = 'visually-hidden';
-    announcement.textContent = message;
-    
-    document.body.appendChild(announcement);
+function observeINP() {
+    const interactions = new Map();
     
-    setTimeout(() => {
-        if (announcement.parentNode) {
-            announcement.parentNode.removeChild(announcement);
+    const handleEntries = entries => {
+        entries.forEach(entry => {
+            if (!entry.interactionId) return;
+            
+            const existing = interactions.get(entry.interactionId);
+            if (!existing || entry.duration > existing.duration) {
+                interactions.set(entry.interactionId, {
+                    duration: entry.duration,
+                    type: entry.name,
+                    target: getElementSelector(entry.target)
+                });
+            }
+        });
+        
+        const sorted = Array.from(interactions.values()).sort((a, b) => b.duration - a.duration);
+        const worst = sorted[Math.min(sorted.length - 1, Math.floor(interactions.size / 50))];
+        
+        if (worst) {
+            setVital('INP', worst.duration, {
+                interaction_target: worst.target,
+                interaction_type: worst.type
+            });
         }
-    }, 1000);
+    };
+    
+    observePerformance('event', handleEntries, { durationThreshold: 40 });
+    observePerformance('first-input', handleEntries);
 }
 
-// ============================================
-// PROGRESSIVE WEB APP FEATURES
-// ============================================
-
 /**
- * Initialize PWA features
+ * Build a short CSS selector describing an element
  */
-function initPWA() {
-    // Check if app is installed
-    window.addEventListener('appinstalled', () => {
-        trackEvent('pwa_installed');
-        showToast('Thank you for installing DevHubX Cloud Blog!', 'success');
-    });
+function getElementSelector(element) {
+    const parts = [];
+    let node = element;
     
-    // Check if app is running in standalone mode
-    if (window.matchMedia('(display-mode: standalone)').matches) {
-        document.documentElement.classList.add('standalone');
-        trackEvent('pwa_standalone_mode');
+    while (node && node.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+        let part = node.tagName.toLowerCase();
+        
+        if (node.id) {
+            parts.unshift(`${part}#${node.id}`);
+            break;
+        }
+        
+        const classes = Array.from(node.classList).slice(0, 2);
+        if (classes.length) {
+            part += `.${classes.join('.')}`;
+        }
+        
+        parts.unshift(part);
+        node = node.parentElement;
     }
     
-    // Register service worker
-    if ('serviceWorker' in navigator) {
-        window.addEventListener('load', () => {
-            navigator.serviceWorker.register('/sw.js').then(registration => {
-                console.log('ServiceWorker registered:', registration.scope);
-            }).catch(error => {
-                console.log('ServiceWorker registration failed:', error);
-            });
-        });
-    }
+    return parts.length ? parts.join(' > ') : null;
 }
 
-// ============================================
-// MOCK API FUNCTIONS (for demo purposes)
-// ============================================
-
 /**
- * Simulate API call
+ * Rate a metric value as good, needs-improvement or poor
  */
-async function simulateAPICall(endpoint, data) {
-    return new Promise((resolve, reject) => {
-        setTimeout(() => {
-            // Simulate random success/failure
-            const isSuccess = Math.random() > 0.1; // 90% success rate
-            
-            if (isSuccess) {
-                console.log(`API call to ${endpoint}:`, data);
-                resolve({ success: true, data: data });
-            } else {
-                reject(new Error('API request failed'));
-            }
-        }, 1500);
-    });
+function rateVital(name, value) {
+    const [good, poor] = VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
 }
 
-// ============================================
-// PERFORMANCE MONITORING
-// ============================================
-
 /**
- * Monitor performance metrics
+ * Send every collected metric through trackEvent (once per page load)
  */
-function monitorPerformance() {
-    // Log page load performance
-    window.addEventListener('load', () => {
-        if (window.performance && window.performance.timing) {
-            const perf = window.performance.timing;
-            const loadTime = perf.loadEventEnd - perf.navigationStart;
-            const domReadyTime = perf.domContentLoadedEventEnd - perf.navigationStart;
-            
-            console.log(`Page load time: ${loadTime}ms`);
-            console.log(`DOM ready time: ${domReadyTime}ms`);
-            
-            trackEvent('performance_metrics', {
-                load_time: loadTime,
-                dom_ready_time: domReadyTime
-            });
-        }
-    });
+function reportVitals() {
+    if (vitalsState.reported) return;
+    vitalsState.reported = true;
     
-    // Monitor largest contentful paint
-    if ('PerformanceObserver' in window) {
-        const observer = new PerformanceObserver((list) => {
-            const entries = list.getEntries();
-            const lastEntry = entries[entries.length - 1];
-            
-            console.log('LCP:', lastEntry.startTime);
-            trackEvent('largest_contentful_paint', {
-                lcp: lastEntry.startTime
-            });
+    Object.entries(vitalsState.metrics).forEach(([name, { value, attribution }]) => {
+        trackEvent('web_vital', {
+            metric: name,
+            value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+            rating: rateVital(name, value),
+            attribution
         });
-        
-        observer.observe({ entryTypes: ['largest-contentful-paint'] });
-    }
+    });
 }
 
 // ============================================
@@ -1048,18 +7519,24 @@ function monitorPerformance() {
  */
 function init() {
     // Initialize core features
+    initI18n();
     initTheme();
+    initReaderPreferences();
+    initBookmarks();
     initNavigation();
     initSmoothScroll();
+    initReadingProgress();
+    initRouter();
     initScrollToTop();
     initForms();
+    initContent();
+    initFilters();
+    initOutbox();
     initLazyLoading();
     initAccessibility();
     
-    // Initialize analytics
-    trackPageView();
-    trackTimeOnPage();
-    monitorPerformance();
+    // Initialize analytics (only starts once consent is given)
+    initConsent();
     
     // Initialize PWA features
     initPWA();
@@ -1067,62 +7544,10 @@ function init() {
     // Set current year in footer
     document.getElementById('currentYear').textContent = new Date().getFullYear();
     
-    // Add loading spinner CSS
-    addLoadingSpinnerStyles();
-    
     // Log initialization
     console.log('DevHubX Cloud Blog initialized successfully');
 }
 
-/**
- * Add loading spinner CSS styles
- */
-function addLoadingSpinnerStyles() {
-    const styles = `
-        .loading-spinner {
-            display: inline-block;
-            width: 16px;
-            height: 16px;
-            border: 2px solid rgba(255,255,255,.3);
-            border-radius: 50%;
-            border-top-color: #fff;
-            animation: spin 1s ease-in-out infinite;
-            margin-right: 8px;
-        }
-        
-        @keyframes spin {
-            to { transform: rotate(360deg); }
-        }
-        
-        /* Reduced motion support */
-        @media (prefers-reduced-motion: reduce) {
-            .loading-spinner {
-                animation-duration: 2s;
-            }
-            
-            .toast {
-                transition: none;
-            }
-        }
-        
-        /* Print styles */
-        @media print {
-            .no-print {
-                display: none !important;
-            }
-            
-            a[href]:after {
-                content: " (" attr(href) ")";
-                font-size: 0.9em;
-            }
-        }
-    `;
-    
-    const styleSheet = document.createElement('style');
-    styleSheet.textContent = styles;
-    document.head.appendChild(styleSheet);
-}
-
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -1149,7 +7574,7 @@ function initErrorHandling() {
         
         // Don't show error toast in production to avoid annoying users
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            showToast(`Error: ${event.message}`, 'error');
+            showToast(t('error.unexpected', { message: event.message }), 'error');
         }
     });
 }
@@ -1159,13 +7584,24 @@ function initErrorHandling() {
 // ============================================
 
 // Expose useful functions to global scope for testing
+// script.js only runs in the browser; in Node, use feed.js, seo.js and i18n.js directly
 window.DevHubXBlog = {
     init,
     setTheme,
+    setAccentColor,
     toggleTheme,
+    setReaderPreference,
+    resetReaderPreferences,
+    setLocale,
     showToast,
     trackEvent,
-    simulateAPICall
+    flushAnalytics,
+    apiRequest,
+    registerApiAdapter,
+    performSearch,
+    buildSearchIndex,
+    generateFeeds,
+    generateSitemap
 };
 
 // ============================================
@@ -1184,24 +7620,5 @@ if (document.readyState === 'loading') {
 }
 
 // Handle offline/online status
-window.addEventListener('online', () => {
-    showToast('You are back online', 'success');
-    trackEvent('connection_restored');
-});
-
-window.addEventListener('offline', () => {
-    showToast('You are offline. Some features may not work.', 'warning');
-    trackEvent('connection_lost');
-});
-
-// Export for module usage (if using ES6 modules)
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = {
-        init,
-        setTheme,
-        toggleTheme,
-        showToast,
-        trackEvent,
-        simulateAPICall
-    };
-}
\ No newline at end of file
+window.addEventListener('online', handleOnline);
+window.addEventListener('offline', handleOffline);
\ No newline at end of file
@@ -0,0 +1,251 @@
+/**
+ * DevHubX Cloud Blog - Structured Data & Sitemap Generator
+ * Builds the schema.org JSON-LD graph and sitemap.xml from posts.json
+ *
+ * Browser: window.DevHubXSEO.createStructuredData(manifest)
+ * Node:    require('./seo.js').createSitemap(manifest), or `node seo.js` to
+ *          regenerate sitemap.xml and the JSON-LD block in index.html
+ */
+
+(function (root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DevHubXSEO = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Escape text for XML element content
+     */
+    function escapeXML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Resolve a path against the site URL
+     */
+    function absoluteUrl(path, baseUrl) {
+        return new URL(path, baseUrl).href;
+    }
+
+    /**
+     * Crawlable link to a route of the page; script.js opens "?view=<path>" as "#<path>"
+     * (crawlers drop fragments, so "#<path>" URLs would all count as the home page)
+     */
+    function getRouteUrl(path, baseUrl) {
+        return absoluteUrl(`?view=${encodeURIComponent(path)}`, baseUrl);
+    }
+
+    /**
+     * Link to the article view of a post or tutorial
+     */
+    function getEntryUrl(entry, baseUrl) {
+        return getRouteUrl(entry.id, baseUrl);
+    }
+
+    /**
+     * Last modification date of an entry
+     */
+    function getUpdated(entry) {
+        return entry.dateModified || entry.datePublished;
+    }
+
+    /**
+     * Most recent change across entries, as YYYY-MM-DD
+     */
+    function getLastModified(entries) {
+        const times = entries.map(entry => Date.parse(getUpdated(entry)));
+        return times.length ? toDate(Math.max(...times)) : null;
+    }
+
+    /**
+     * W3C date (YYYY-MM-DD) used by sitemaps
+     */
+    function toDate(value) {
+        return new Date(value).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Newest first
+     */
+    function sortByDate(entries) {
+        return (entries || []).slice().sort((a, b) => Date.parse(b.datePublished) - Date.parse(a.datePublished));
+    }
+
+    // ============================================
+    // STRUCTURED DATA (JSON-LD)
+    // ============================================
+
+    /**
+     * schema.org graph: the Blog, its author and publisher, and a BlogPosting per post
+     */
+    function createStructuredData(manifest, options = {}) {
+        const site = manifest.site;
+        const baseUrl = options.baseUrl || site.url;
+        const author = site.author || {};
+        const publisher = site.publisher || {};
+
+        const ids = {
+            blog: absoluteUrl('#blog', baseUrl),
+            author: absoluteUrl('#author', baseUrl),
+            publisher: absoluteUrl('#publisher', baseUrl)
+        };
+
+        const posts = sortByDate(manifest.posts).map(post => {
+            const url = getEntryUrl(post, baseUrl);
+            const category = manifest.categories[post.category];
+
+            return {
+                '@type': 'BlogPosting',
+                '@id': url,
+                url,
+                mainEntityOfPage: url,
+                headline: post.title,
+                description: post.excerpt,
+                datePublished: new Date(post.datePublished).toISOString(),
+                dateModified: new Date(getUpdated(post)).toISOString(),
+                author: { '@id': ids.author },
+                publisher: { '@id': ids.publisher },
+                isPartOf: { '@id': ids.blog },
+                articleSection: category ? category.name : undefined,
+                keywords: post.tags || [],
+                timeRequired: post.readTime ? `PT${post.readTime}M` : undefined,
+                image: post.image ? {
+                    '@type': 'ImageObject',
+                    url: absoluteUrl(post.image.src, baseUrl),
+                    caption: post.image.alt
+                } : undefined,
+                inLanguage: site.language || 'en'
+            };
+        });
+
+        return {
+            '@context': 'https://schema.org',
+            '@graph': [
+                {
+                    '@type': 'Blog',
+                    '@id': ids.blog,
+                    name: site.title,
+                    url: baseUrl,
+                    description: site.description,
+                    inLanguage: site.language || 'en',
+                    isAccessibleForFree: true,
+                    author: { '@id': ids.author },
+                    publisher: { '@id': ids.publisher },
+                    blogPost: posts.map(post => ({ '@id': post['@id'] }))
+                },
+                {
+                    '@type': 'Person',
+                    '@id': ids.author,
+                    name: author.name,
+                    url: author.url
+                },
+                {
+                    '@type': 'Organization',
+                    '@id': ids.publisher,
+                    name: publisher.name,
+                    url: publisher.url,
+                    logo: publisher.logo ? {
+                        '@type': 'ImageObject',
+                        url: publisher.logo
+                    } : undefined
+                },
+                ...posts
+            ]
+        };
+    }
+
+    /**
+     * JSON-LD as formatted text for a <script type="application/ld+json"> element
+     */
+    function serializeStructuredData(data, indent = 4) {
+        // "</script" inside a string must not close the element
+        return JSON.stringify(data, null, indent).replace(/<\//g, '<\\/');
+    }
+
+    // ============================================
+    // SITEMAP
+    // ============================================
+
+    /**
+     * sitemap.xml with the home page, the archive and every post and tutorial
+     */
+    function createSitemap(manifest, options = {}) {
+        const baseUrl = options.baseUrl || manifest.site.url;
+        const posts = sortByDate(manifest.posts);
+        const tutorials = sortByDate(manifest.tutorials);
+
+        const urls = [
+            { loc: baseUrl, lastmod: getLastModified(posts.concat(tutorials)), changefreq: 'weekly', priority: '1.0' },
+            { loc: getRouteUrl('all-posts', baseUrl), lastmod: getLastModified(posts), changefreq: 'weekly', priority: '0.8' },
+            ...posts.concat(tutorials).map(entry => ({
+                loc: getEntryUrl(entry, baseUrl),
+                lastmod: toDate(getUpdated(entry)),
+                changefreq: 'monthly',
+                priority: '0.7'
+            }))
+        ];
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+            ...urls.map(url => [
+                '    <url>',
+                `        <loc>${escapeXML(url.loc)}</loc>`,
+                url.lastmod ? `        <lastmod>${url.lastmod}</lastmod>` : null,
+                `        <changefreq>${url.changefreq}</changefreq>`,
+                `        <priority>${url.priority}</priority>`,
+                '    </url>'
+            ].filter(line => line !== null).join('\n')),
+            '</urlset>',
+            ''
+        ].join('\n');
+    }
+
+    return {
+        createStructuredData,
+        serializeStructuredData,
+        createSitemap
+    };
+});
+
+// Regenerate sitemap.xml and the static JSON-LD in index.html when run directly: `node seo.js`
+if (typeof require !== 'undefined' && typeof module !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const { createStructuredData, serializeStructuredData, createSitemap } = module.exports;
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, 'posts.json'), 'utf8'));
+
+    fs.writeFileSync(path.join(__dirname, 'sitemap.xml'), createSitemap(manifest));
+    console.log('Wrote sitemap.xml');
+
+    // Crawlers that don't run JavaScript still get the full graph
+    const indexPath = path.join(__dirname, 'index.html');
+    const html = fs.readFileSync(indexPath, 'utf8');
+    const pattern = /(<script type="application\/ld\+json" id="structuredData">\n)[\s\S]*?(\n\s*<\/script>)/;
+
+    if (!pattern.test(html)) {
+        console.error('No <script id="structuredData"> block found in index.html');
+        process.exit(1);
+    }
+
+    const json = serializeStructuredData(createStructuredData(manifest))
+        .split('\n')
+        .map(line => `    ${line}`)
+        .join('\n');
+
+    fs.writeFileSync(indexPath, html.replace(pattern, (match, open, close) => `${open}${json}${close}`));
+    console.log('Updated structured data in index.html');
+}
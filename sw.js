@@ -0,0 +1,442 @@
+/**
+ * DevHubX Cloud Blog - Service Worker
+ * Precaches the app shell and serves runtime requests stale-while-revalidate
+ */
+
+// ============================================
+// CONFIGURATION & CONSTANTS
+// ============================================
+
+// Bump the version to drop every cache from previous releases
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'devhubx-';
+
+const CACHES = {
+    precache: `${CACHE_PREFIX}precache-${CACHE_VERSION}`,
+    runtime: `${CACHE_PREFIX}runtime-${CACHE_VERSION}`,
+    // Articles on the reading list; the page asks for them again after an update
+    bookmarks: `${CACHE_PREFIX}bookmarks-${CACHE_VERSION}`
+};
+
+const OFFLINE_PAGE = '/offline.html';
+
+const PRECACHE_URLS = [
+    '/',
+    '/index.html',
+    OFFLINE_PAGE,
+    '/style.css',
+    '/boot.js',
+    '/script.js',
+    '/i18n.js',
+    '/feed.js',
+    '/seo.js',
+    '/site.webmanifest',
+    '/posts.json',
+    '/favicon.svg',
+    '/logo.svg',
+    '/avatar.svg',
+    '/hero-bg.svg',
+    '/blog-illustration.svg',
+    '/about-illustration.svg',
+    '/contact-illustration.svg',
+    '/cloud-icon.svg',
+    '/social-icons.svg',
+    '/images/devhubx.svg',
+    '/images/og-image.svg',
+    '/images/twitter-image.svg'
+];
+
+// Outbox shared with the page (see the OFFLINE OUTBOX section of script.js)
+const DB_NAME = 'devhubx';
+const OUTBOX_STORE = 'outbox';
+const OUTBOX_SYNC_TAG = 'devhubx-outbox';
+// CONFIG.outbox.leaseDuration in script.js
+const OUTBOX_LEASE_DURATION = 2 * 60 * 1000;
+// CONFIG.outbox.maxAttempts in script.js
+const OUTBOX_MAX_ATTEMPTS = 5;
+// CONFIG.spam.proofOfWorkMaxAge in script.js
+const PROOF_OF_WORK_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Cross-origin hosts whose responses may be cached at runtime (fonts, icons)
+const RUNTIME_CACHE_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdnjs.cloudflare.com'
+];
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.precache)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const currentCaches = Object.values(CACHES);
+
+    // Remove caches left behind by previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(cacheNames => Promise.all(
+                cacheNames
+                    .filter(name => name.startsWith(CACHE_PREFIX) && !currentCaches.includes(name))
+                    .map(name => caches.delete(name))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ============================================
+// FETCH STRATEGIES
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+
+    if (!shouldHandle(request)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Only cache GET requests for our own origin and whitelisted asset hosts
+ */
+function shouldHandle(request) {
+    if (request.method !== 'GET') return false;
+
+    const url = new URL(request.url);
+    return url.origin === self.location.origin || RUNTIME_CACHE_HOSTS.includes(url.hostname);
+}
+
+/**
+ * Serve from cache immediately and refresh the cached copy in the background
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cached = await caches.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) {
+                const copy = response.clone();
+                caches.open(getCacheName(request)).then(cache => cache.put(request, copy));
+            }
+            return response;
+        });
+
+    if (cached) {
+        // Keep the worker alive until the background refresh settles
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+
+    return network;
+}
+
+/**
+ * Navigations use the same strategy, falling back to the offline page
+ */
+async function handleNavigation(event) {
+    try {
+        return await staleWhileRevalidate(event);
+    } catch (error) {
+        // Network failed and nothing was cached for this exact URL
+    }
+
+    // Serve the cached page without its query string (e.g. filtered views)
+    const page = await caches.match(event.request, { ignoreSearch: true });
+    return page || caches.match(OFFLINE_PAGE);
+}
+
+/**
+ * Refreshed precached assets go back into the precache so they aren't shadowed by it
+ */
+function getCacheName(request) {
+    const url = new URL(request.url);
+    const isPrecached = url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname);
+
+    return isPrecached ? CACHES.precache : CACHES.runtime;
+}
+
+/**
+ * Cache successful and opaque (cross-origin no-cors) responses
+ */
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+// ============================================
+// MESSAGING
+// ============================================
+
+self.addEventListener('message', (event) => {
+    const { data } = event;
+    if (!data || !data.type) return;
+
+    // Reply on the transferred port when the page provides one
+    const reply = event.ports[0] || event.source;
+
+    if (data.type === 'GET_CACHE_STATUS') {
+        event.waitUntil(
+            getCachedUrls().then(urls => {
+                reply.postMessage({
+                    type: 'CACHE_STATUS',
+                    version: CACHE_VERSION,
+                    urls
+                });
+            })
+        );
+    } else if (data.type === 'CACHE_URLS') {
+        event.waitUntil(cacheBookmarks(data.urls));
+    } else if (data.type === 'UNCACHE_URLS') {
+        event.waitUntil(uncacheBookmarks(data.urls));
+    }
+});
+
+/**
+ * Same-origin URLs from a page message
+ */
+function getOwnUrls(urls) {
+    return (Array.isArray(urls) ? urls : [])
+        .map(url => new URL(url, self.location.origin))
+        .filter(url => url.origin === self.location.origin)
+        .map(url => url.href);
+}
+
+/**
+ * Keep bookmarked articles available offline
+ */
+async function cacheBookmarks(urls) {
+    const cache = await caches.open(CACHES.bookmarks);
+
+    await Promise.all(getOwnUrls(urls).map(async url => {
+        if (await cache.match(url)) return;
+
+        try {
+            await cache.add(url);
+        } catch (error) {
+            // Offline or missing; cached again the next time the page asks
+        }
+    }));
+}
+
+/**
+ * Drop articles that were removed from the reading list
+ */
+async function uncacheBookmarks(urls) {
+    const cache = await caches.open(CACHES.bookmarks);
+    await Promise.all(getOwnUrls(urls).map(url => cache.delete(url)));
+}
+
+/**
+ * List every URL this worker can serve offline
+ */
+async function getCachedUrls() {
+    const cacheNames = Object.values(CACHES);
+    const urls = [];
+
+    for (const name of cacheNames) {
+        const cache = await caches.open(name);
+        const requests = await cache.keys();
+        requests.forEach(request => urls.push(request.url));
+    }
+
+    return urls;
+}
+
+// ============================================
+// BACKGROUND SYNC (OFFLINE OUTBOX)
+// ============================================
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === OUTBOX_SYNC_TAG) {
+        event.waitUntil(replayOutbox());
+    }
+});
+
+/**
+ * Open the page's database without ever creating or upgrading it
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+
+        // The page owns the schema, so don't leave an empty database behind
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run an operation against the outbox store
+ */
+function runOutboxOperation(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Atomically lease an entry for sending (the page may be replaying too)
+ * It stays in the outbox until the server answers, so a worker terminated
+ * mid-request loses nothing: the lease expires and the entry is sent again.
+ */
+function claimOutboxEntry(db, id) {
+    let entry = null;
+
+    return runOutboxOperation(db, 'readwrite', store => {
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const saved = request.result;
+            if (!saved || Date.now() - (saved.sendingSince || 0) < OUTBOX_LEASE_DURATION) return;
+
+            entry = { ...saved, sendingSince: Date.now() };
+            store.put(entry);
+        };
+    }).then(() => entry);
+}
+
+/**
+ * Give a leased entry a new proof of work when its own would expire before it is
+ * sent, as refreshOutboxProofOfWork() in script.js does; the version and difficulty
+ * come from the old stamp
+ */
+async function refreshProofOfWork(db, entry) {
+    const token = entry.body.proofOfWork;
+    if (!token) return entry;
+
+    const [version, bits, time] = token.stamp.split(':');
+    if (Date.now() - Number(time) < PROOF_OF_WORK_MAX_AGE - OUTBOX_LEASE_DURATION) return entry;
+
+    const random = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+    const stamp = [version, bits, Date.now(), entry.kind, random].join(':');
+
+    let nonce = 0;
+    while (await countLeadingZeroBits(`${stamp}:${nonce}`) < Number(bits)) nonce++;
+
+    // Saved, so a retry resends the same submission
+    const refreshed = { ...entry, body: { ...entry.body, proofOfWork: { stamp, nonce } } };
+    await runOutboxOperation(db, 'readwrite', store => store.put(refreshed));
+
+    return refreshed;
+}
+
+/**
+ * Leading zero bits of the SHA-256 hash of a string
+ */
+async function countLeadingZeroBits(text) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    let bits = 0;
+
+    for (const byte of hash) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+
+    return bits;
+}
+
+/**
+ * Send every queued submission; rejecting lets the browser retry the sync later
+ */
+async function replayOutbox() {
+    let db;
+
+    try {
+        db = await openDatabase();
+    } catch (error) {
+        return;
+    }
+
+    try {
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) return;
+
+        const entries = await runOutboxOperation(db, 'readonly', store => store.getAll());
+
+        for (const { id } of entries) {
+            const claimed = await claimOutboxEntry(db, id);
+            if (!claimed) continue;
+
+            const entry = await refreshProofOfWork(db, claimed);
+
+            let response = null;
+            try {
+                response = await fetch(entry.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    body: JSON.stringify(entry.body)
+                });
+            } catch (error) {
+                // Still offline
+            }
+
+            // Offline (retried until back online), or a server error with attempts left:
+            // keep it for the next sync, as flushOutbox() in script.js does
+            if (!response || (response.status >= 500 && entry.attempts + 1 < OUTBOX_MAX_ATTEMPTS)) {
+                await runOutboxOperation(db, 'readwrite', store => store.put({
+                    ...entry,
+                    attempts: entry.attempts + 1,
+                    sendingSince: null
+                }));
+                throw new Error('Outbox replay incomplete');
+            }
+
+            await runOutboxOperation(db, 'readwrite', store => store.delete(id));
+
+            if (response.ok) {
+                await notifyClients({ type: 'OUTBOX_DELIVERED', entry });
+            } else {
+                const payload = await response.json().catch(() => ({}));
+                await notifyClients({ type: 'OUTBOX_REJECTED', entry, message: payload.message });
+            }
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Tell open pages about a replayed submission, or show a notification if none are open
+ */
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    if (clients.length) {
+        clients.forEach(client => client.postMessage(message));
+        return;
+    }
+
+    // The text comes translated from the page that queued the entry
+    const text = message.entry && message.entry.notification;
+
+    if (message.type === 'OUTBOX_DELIVERED' && text && self.Notification && Notification.permission === 'granted') {
+        await self.registration.showNotification('DevHubX Cloud Blog', {
+            body: text,
+            icon: '/favicon.svg',
+            tag: OUTBOX_SYNC_TAG
+        });
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * DevHubX Cloud Blog - Feed generator tests
+ * Run from the repository root: `node --test`
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createRSSFeed, createAtomFeed, createJSONFeed, generateFeeds } = require('../feed.js');
+
+const ROOT = path.join(__dirname, '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'posts.json'), 'utf8'));
+
+/**
+ * Smallest manifest the generator accepts, with overrides
+ */
+function createManifest(overrides = {}) {
+    return {
+        site: {
+            title: 'Test Blog',
+            description: 'Testing',
+            url: 'https://example.com/',
+            author: { name: 'Author' }
+        },
+        categories: { cloud: { name: 'Cloud', color: '#000' } },
+        posts: [],
+        tutorials: [],
+        ...overrides
+    };
+}
+
+function createPost(id, datePublished, extra = {}) {
+    return { id, title: `Post ${id}`, excerpt: `About ${id}`, category: 'cloud', tags: [], datePublished, ...extra };
+}
+
+test('checked-in feeds match posts.json (run `node feed.js` after editing it)', () => {
+    Object.entries(generateFeeds(manifest)).forEach(([file, content]) => {
+        assert.equal(fs.readFileSync(path.join(ROOT, file), 'utf8'), content, `${file} is out of date`);
+    });
+});
+
+test('feeds list posts and tutorials, newest first', () => {
+    const feed = JSON.parse(createJSONFeed(createManifest({
+        posts: [createPost('old', '2024-01-01'), createPost('new', '2024-03-01')],
+        tutorials: [{ id: 'guide', title: 'Guide', excerpt: 'Steps', tags: ['Git'], steps: ['One'], difficulty: 'beginner', datePublished: '2024-02-01' }]
+    })));
+
+    assert.deepEqual(feed.items.map(item => item.url), [
+        'https://example.com/?view=new',
+        'https://example.com/?view=guide',
+        'https://example.com/?view=old'
+    ]);
+    assert.deepEqual(feed.items[1].tags, ['Tutorial', 'Git']);
+    assert.match(feed.items[1].content_html, /<ol><li>One<\/li><\/ol>/);
+});
+
+test('the limit option caps the number of items', () => {
+    const posts = ['a', 'b', 'c'].map((id, i) => createPost(id, `2024-01-0${i + 1}`));
+    const rss = createRSSFeed(createManifest({ posts }), { limit: 2 });
+
+    assert.equal(rss.match(/<item>/g).length, 2);
+    assert.doesNotMatch(rss, /view=a</);
+});
+
+test('text is escaped for XML, also inside CDATA sections', () => {
+    const post = createPost('x', '2024-01-01', { title: 'Fish & <Chips>', excerpt: 'Ends with ]]> here' });
+    const manifestWithPost = createManifest({ posts: [post] });
+    const rss = createRSSFeed(manifestWithPost);
+    const atom = createAtomFeed(manifestWithPost);
+
+    assert.match(rss, /<title>Fish &amp; &lt;Chips&gt;<\/title>/);
+    assert.match(rss, /<content:encoded><!\[CDATA\[<p>Ends with ]]&gt; here<\/p>/);
+    assert.match(atom, /<title>Fish &amp; &lt;Chips&gt;<\/title>/);
+});
+
+test('output only depends on the content, not on when it is generated', () => {
+    const input = createManifest({ posts: [createPost('a', '2024-01-01', { dateModified: '2024-02-01' })] });
+    const rss = createRSSFeed(input);
+
+    assert.equal(createRSSFeed(input), rss);
+    assert.match(rss, /<lastBuildDate>Thu, 01 Feb 2024 00:00:00 GMT<\/lastBuildDate>/);
+});
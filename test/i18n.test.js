@@ -0,0 +1,82 @@
+/**
+ * DevHubX Cloud Blog - Internationalization tests
+ * Run from the repository root: `node --test`
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCALES, DEFAULT_LOCALE, MESSAGES, matchLocale, translate, compareCatalog } = require('../i18n.js');
+
+/**
+ * Placeholder names used by a message (every plural form included)
+ */
+function getPlaceholders(message) {
+    const text = typeof message === 'object' ? Object.values(message).join(' ') : message;
+    return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))].sort();
+}
+
+test('every catalog has exactly the English messages', () => {
+    Object.keys(LOCALES).forEach(locale => {
+        assert.deepEqual(compareCatalog(locale), { missing: [], unknown: [] }, locale);
+    });
+});
+
+test('translations use the same placeholders as English', () => {
+    Object.keys(LOCALES).forEach(locale => {
+        Object.entries(MESSAGES[locale]).forEach(([key, message]) => {
+            assert.deepEqual(getPlaceholders(message), getPlaceholders(MESSAGES[DEFAULT_LOCALE][key]), `${locale}: ${key}`);
+        });
+    });
+});
+
+test('plural messages have an "other" form and only valid categories', () => {
+    Object.keys(LOCALES).forEach(locale => {
+        const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+
+        Object.entries(MESSAGES[locale]).forEach(([key, message]) => {
+            if (typeof message !== 'object') return;
+
+            assert.ok(message.other, `${locale}: ${key} has no "other" form`);
+            Object.keys(message).forEach(category => {
+                assert.ok(categories.includes(category), `${locale}: ${key} has unknown plural form "${category}"`);
+            });
+        });
+    });
+});
+
+test('matchLocale prefers exact tags, then base languages, in order', () => {
+    assert.equal(matchLocale(['de-AT', 'en']), 'de');
+    assert.equal(matchLocale(['fr-FR', 'ES']), 'es');
+    assert.equal(matchLocale('en-GB'), 'en');
+    assert.equal(matchLocale(['fr', 'ja']), null);
+    assert.equal(matchLocale(undefined), null);
+});
+
+test('translate fills placeholders, picks plural forms and formats numbers', () => {
+    const key = Object.keys(MESSAGES.en).find(name => {
+        const message = MESSAGES.en[name];
+        return typeof message === 'object' && message.one && getPlaceholders(message).includes('count');
+    });
+
+    assert.ok(key, 'no plural message with {count} to test');
+    assert.notEqual(translate('en', key, { count: 1 }), translate('en', key, { count: 2 }));
+    assert.match(translate('en', key, { count: 1200 }), /1,200/);
+    assert.match(translate('de', key, { count: 1200 }), /1\.200/);
+});
+
+test('translate falls back to English, then to the key', () => {
+    const key = Object.keys(MESSAGES.en).find(name => typeof MESSAGES.en[name] === 'string' && !getPlaceholders(MESSAGES.en[name]).length);
+
+    assert.equal(translate('xx', key), MESSAGES.en[key]);
+    assert.equal(translate('de', 'no.such.key'), 'no.such.key');
+    assert.equal(translate('en', 'no.such.key', { name: 'x' }), 'no.such.key');
+});
+
+test('unknown placeholders are left in place', () => {
+    const key = Object.keys(MESSAGES.en).find(name => typeof MESSAGES.en[name] === 'string' && getPlaceholders(MESSAGES.en[name]).length);
+    const [placeholder] = getPlaceholders(MESSAGES.en[key]);
+
+    assert.ok(translate('en', key).includes(`{${placeholder}}`));
+});
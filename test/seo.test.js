@@ -0,0 +1,75 @@
+/**
+ * DevHubX Cloud Blog - Structured data & sitemap tests
+ * Run from the repository root: `node --test`
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStructuredData, serializeStructuredData, createSitemap } = require('../seo.js');
+
+const ROOT = path.join(__dirname, '..');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'posts.json'), 'utf8'));
+
+/**
+ * Values of every <loc> in a sitemap
+ */
+function getLocations(sitemap) {
+    return [...sitemap.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+}
+
+test('checked-in sitemap.xml matches posts.json (run `node seo.js` after editing it)', () => {
+    assert.equal(fs.readFileSync(path.join(ROOT, 'sitemap.xml'), 'utf8'), createSitemap(manifest));
+});
+
+test('checked-in structured data in index.html matches posts.json', () => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const block = html.match(/<script type="application\/ld\+json" id="structuredData">\n([\s\S]*?)\n\s*<\/script>/);
+
+    assert.ok(block, 'no structured data block in index.html');
+    assert.deepEqual(JSON.parse(block[1]), JSON.parse(serializeStructuredData(createStructuredData(manifest))));
+});
+
+test('the sitemap lists one crawlable URL per page, post and tutorial', () => {
+    const locations = getLocations(createSitemap(manifest));
+    const entries = manifest.posts.concat(manifest.tutorials);
+
+    assert.equal(locations.length, entries.length + 2);
+    assert.equal(new Set(locations).size, locations.length);
+    locations.forEach(url => assert.ok(!url.includes('#'), `${url} has a fragment, which crawlers drop`));
+    entries.forEach(entry => assert.ok(locations.includes(`${manifest.site.url}?view=${entry.id}`), `${entry.id} is missing`));
+});
+
+test('sitemap dates are W3C dates and ids are URL-encoded', () => {
+    const sitemap = createSitemap({
+        site: { url: 'https://example.com/' },
+        posts: [{ id: 'a&b', datePublished: '2024-01-05T10:00:00Z', dateModified: '2024-02-01T23:00:00Z' }],
+        tutorials: []
+    });
+
+    assert.match(sitemap, /<loc>https:\/\/example\.com\/\?view=a%26b<\/loc>/);
+    assert.match(sitemap, /<lastmod>2024-02-01<\/lastmod>/);
+});
+
+test('structured data has a BlogPosting per post linked to the blog', () => {
+    const graph = createStructuredData(manifest)['@graph'];
+    const blog = graph.find(node => node['@type'] === 'Blog');
+    const postings = graph.filter(node => node['@type'] === 'BlogPosting');
+
+    assert.equal(postings.length, manifest.posts.length);
+    assert.deepEqual(blog.blogPost.map(post => post['@id']), postings.map(post => post['@id']));
+    postings.forEach(posting => {
+        assert.ok(!posting.url.includes('#'), `${posting.url} has a fragment`);
+        assert.equal(posting.isPartOf['@id'], blog['@id']);
+    });
+});
+
+test('serialized structured data cannot close its <script> element', () => {
+    const json = serializeStructuredData({ name: '</script><script>alert(1)</script>' });
+
+    assert.ok(!json.includes('</script'));
+    assert.equal(JSON.parse(json).name, '</script><script>alert(1)</script>');
+});